@@ -3,18 +3,893 @@
  * Interactive story about sexual education, economic development, and health outcomes
  */
 
+// ---- Localization ----
+
+// Languages in the language picker. English is built in (MESSAGES and d3's default number format);
+// the others are loaded from data/i18n/<code>.json as { number, messages }, where `number` is a
+// d3.formatLocale definition and `messages` translates the MESSAGES keys.
+const LANGUAGES = { en: 'English', fr: 'Français', pt: 'Português' };
+
+/**
+ * English UI strings. t() fills {name} placeholders from its params; a key with .one / .other forms
+ * (any Intl.PluralRules category) is picked by params.count, which is formatted with the locale's
+ * digit grouping. Registry names shown in the UI are translated under keys derived from the registry
+ * and fall back to the English in the registry itself:
+ *   field.<field>.label | .unit | .name    FIELDS
+ *   channel.<channel>, group.<field>        ENCODING_CHANNELS, AGGREGATE_GROUPS
+ *   trend.<method>, impute.<method>         TREND_METHODS, IMPUTE_METHODS
+ *   palette.<palette>, theme.<theme>        MAP_PALETTES, THEMES
+ *   scale.<scale>                           SCALE_SUFFIXES
+ *   category.<value>                        regions and income groups in the data
+ * The prose of the story (titles, narrative, steps, annotations) comes from the story file instead.
+ */
+const MESSAGES = {
+    // Page, navigation and country search
+    'page.theme': 'Theme:',
+    'page.language': 'Language:',
+    'nav.previous': '← Previous',
+    'nav.next': 'Next →',
+    'nav.nextStep': 'Next step →',
+    'search.label': 'Find a country:',
+    'search.placeholder': 'Name or code, e.g. Kenya or KEN',
+    'search.noMatch': 'No matching country',
+    'search.unpin': 'Unpin {name}',
+    'search.missing': 'No data for this country in the current view',
+    
+    // Data loading and the data report
+    'data.loading': 'Loading data...',
+    'data.loadFile': 'Load a file…',
+    'data.dropHint': 'or drop a JSON, CSV or World Bank WDI export anywhere on the page',
+    'data.dropOverlay': 'Drop a JSON, CSV or World Bank WDI file to load it',
+    'data.status': 'Data: {source} · {records} records, {countries} countries, {years}',
+    'data.embedded': 'built-in sample ({url} could not be loaded)',
+    'error.loadData': 'Failed to load data. Please check the console for details.',
+    'error.loadFiles': 'Could not load {names}: {message}',
+    'error.unknownFormat': '{name} is not a JSON, CSV or World Bank WDI file',
+    'error.metadataOnly': 'only country metadata was given, no data',
+    'error.noRecordsInFiles': 'no country-year records found',
+    'error.noValidRecords': 'No valid records in {source}; see the data report below.',
+    'error.loadMap': 'Failed to load the world map. Please check the console for details.',
+    'error.png': 'PNG export failed: {message}',
+    'error.pngImage': 'the chart could not be rendered as an image',
+    'validation.notRecord': 'Entries that are not records; skipped',
+    'validation.unknownField': 'Unknown field "{field}"; ignored',
+    'validation.missing': 'Missing {fields}; record skipped',
+    'validation.year': 'Year is not a whole number from {min} to {max}; record skipped',
+    'validation.duplicate': 'Duplicate country and year; later copies skipped',
+    'validation.notNumber': '{label} is not a number; value cleared',
+    'validation.noRegion': 'No region',
+    'validation.unknownRegion': 'Unknown region "{region}"',
+    'validation.noIncomeGroup': 'No income group',
+    'validation.unknownIncomeGroup': 'Unknown income group "{group}"',
+    'validation.absentField': '{label} ({field}) is missing from every record',
+    'report.summary': '{errors}, {warnings} in {source}',
+    'report.clean': 'No problems found in {source}',
+    'report.errors.one': '{count} error',
+    'report.errors.other': '{count} errors',
+    'report.warnings.one': '{count} warning',
+    'report.warnings.other': '{count} warnings',
+    'report.records.one': '{count} record',
+    'report.records.other': '{count} records',
+    'report.countries.one': '{count} country',
+    'report.countries.other': '{count} countries',
+    'report.regions.one': '{count} region',
+    'report.regions.other': '{count} regions',
+    'report.incomeGroups.one': '{count} income group',
+    'report.incomeGroups.other': '{count} income groups',
+    'report.years.one': '{count} year',
+    'report.years.other': '{count} years',
+    'report.examples': ', e.g. {examples}',
+    'report.indicator': 'Indicator',
+    'report.values': 'Values',
+    'report.share': 'Share of records',
+    'report.countryCount': 'Countries',
+    
+    // Scenes and story mode
+    'scene.dot': 'Scene {number}: {title}',
+    'scene.chart': '{title} chart. Press Tab to reach the data points and the arrow keys to move between them.',
+    'scene.announce': 'Scene {number} of {total}: {title}',
+    'scene.empty': 'No data available for the selected filters',
+    'story.step': 'Step {number} of {total}',
+    'story.lastStep': 'Step {number} of {total} · Your turn',
+    'story.announce': 'Step {number} of {total}: {text}',
+    'story.skip': 'Skip to explore',
+    'story.replay': 'Replay story',
+    
+    // Controls, zoom and export
+    'control.label': '{label}:',
+    'control.allRegions': 'All Regions',
+    'control.play': '▶ Play',
+    'control.pause': '❚❚ Pause',
+    'control.speed': 'Playback speed',
+    'control.speedOption': '{speed}×',
+    'control.trails': 'Trails',
+    'control.uniform': 'Uniform',
+    'control.trend': 'Trend:',
+    'control.weighted': 'Weight by population',
+    'control.group': 'Group:',
+    'control.countries': 'Countries',
+    'control.byGroup': 'By {group}',
+    'control.showCountries': 'Show countries',
+    'control.impute': 'Fill gaps:',
+    'control.indicator': 'Indicator:',
+    'control.palette': 'Color scale:',
+    'control.medians': 'Medians:',
+    'control.layout': 'Layout:',
+    'control.oneChart': 'One chart',
+    'control.smallMultiples': 'Small multiples by {group}',
+    'control.addCountry': 'Add a country:',
+    'control.chooseCountry': 'Choose…',
+    'zoom.label': 'Zoom',
+    'zoom.hint': 'Scroll to zoom, Shift-drag to pan',
+    'zoom.in': 'Zoom in',
+    'zoom.out': 'Zoom out',
+    'zoom.selection': 'Zoom to selection',
+    'zoom.reset': 'Reset zoom',
+    'export.label': 'Export',
+    'export.svg': 'Chart as SVG',
+    'export.png': 'Chart as PNG (high resolution)',
+    'export.csv': 'Plotted data as CSV',
+    'export.json': 'Plotted data as JSON',
+    
+    // Values, tooltips and chart furniture
+    'field.labelUnit': '{label} ({unit})',
+    'format.perThousand': '{value} per 1,000',
+    'format.years': '{value} years',
+    'value.na': 'n/a',
+    'value.imputed': '(imputed)',
+    'tooltip.value': '{name}: {value}',
+    'tooltip.aggregate.one': 'Population-weighted, {count} country',
+    'tooltip.aggregate.other': 'Population-weighted, {count} countries',
+    'tooltip.aggregateValue': '{value} (n = {count})',
+    'tooltip.noData': 'No {name} data for {year}',
+    'tooltip.pin': 'Click to pin across scenes',
+    'tooltip.unpin': 'Click to unpin across scenes',
+    'pairs.gap': '{value} pts',
+    'trend.method': '{method}',
+    'trend.weighted': '{method} (pop.-weighted)',
+    'trend.stats': 'n = {count} · r = {r} · ρ = {rho} · R² = {r2}',
+    'legend.hint': 'Click to hide, double-click to isolate',
+    'legend.locked': 'Unlocks at the end of the story',
+    'legend.shown': '{category}: shown',
+    'legend.hidden': '{category}: hidden',
+    'map.coverage': '{drawn} of {total} countries with data are drawn (grey: no data); small island states are too small for this map scale',
+    'lines.allCountries': 'All countries',
+    'lines.median': 'Median {name}: {value}',
+    'lines.iqr': 'Middle half: {low} to {high}',
+    'lines.reporting.one': '{count} country reporting',
+    'lines.reporting.other': '{count} countries reporting',
+    'lines.groupMedian': '{group} median: {value}',
+    'lines.note': 'Lines are medians of the countries reporting each year (at least {count}); bands span the middle half of them, from the 25th to the 75th percentile.',
+    'coverage.shown.one': '{shown} of {count} country shown',
+    'coverage.shown.other': '{shown} of {count} countries shown',
+    'coverage.excluded': '{count} excluded: {reasons}',
+    'coverage.missing': '{count} missing {name}',
+    'coverage.imputed': '{count} with imputed values (dashed)',
+    'coverage.and': ' and ',
+    'selection.count.one': '{count} selected country',
+    'selection.count.other': '{count} selected countries',
+    'selection.inChart': '{shown} in this chart',
+    'selection.mean': 'Mean {name}: {value}',
+    'selection.baseline': 'all {total}: {value}',
+    'selection.clear': 'Clear selection',
+    'table.caption': '{title}: data for the {count} countries in the chart',
+    'table.captionYear': '{title}: data for the {count} countries in the chart, {year}',
+    'table.country': 'Country',
+    
+    // Country detail panel
+    'detail.panel': 'Country details',
+    'detail.close': 'Close country details',
+    'detail.noData': 'No data',
+    'detail.noDataYear': '{year}: no data',
+    'detail.complete': 'All years reported',
+    'detail.missing': '{missing} of {total} years missing'
+};
+
+// Active language and its catalog; the number format lives in d3's default locale
+let locale = { language: 'en', messages: {} };
+
+const setLocale = (language, { number, messages } = {}) => {
+    locale = { language, messages: messages || {} };
+    if (number) d3.formatDefaultLocale(number);
+};
+
+// UI string `key` in the active language, falling back to English and then to `fallback`
+const t = (key, params = {}, fallback = key) => {
+    const lookup = k => locale.messages[k] ?? MESSAGES[k];
+    if (typeof params.count === 'number') {
+        const plural = `${key}.${new Intl.PluralRules(locale.language).select(params.count)}`;
+        key = [plural, `${key}.other`].find(k => lookup(k) !== undefined) || key;
+    }
+    return (lookup(key) ?? fallback).replace(/\{(\w+)\}/g, (match, name) => {
+        if (!Object.hasOwn(params, name)) return match;
+        return name === 'count' ? d3.format(',')(params.count) : params[name];
+    });
+};
+
+// Translated FIELDS text: 'label', 'unit' or 'name'
+const fieldText = (field, part) => FIELDS[field][part] && t(`field.${field}.${part}`, {}, FIELDS[field][part]);
+
+// Display name of a region or income group; data values and exports stay in English
+const categoryName = value => t(`category.${value}`, {}, String(value));
+
+// Data values (uploaded files can contain anything) made safe for the HTML of tooltips and tables
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => 
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Fields stored as 0-100 percentages, formatted with the locale's percent sign
+const formatPercent = specifier => d => d3.format(specifier)(d / 100);
+
+// Compact dollar format used for income ticks and crosshair labels
+const formatDollarsShort = d => {
+    if (d >= 10000) return d3.format('$~s')(Math.round(d / 1000) * 1000);
+    if (d >= 1000) return d3.format('$.2s')(d);
+    return d3.format('$.0f')(d);
+};
+
+/**
+ * Field metadata shared by axes, pickers, tooltips and crosshair labels.
+ * - label / unit: axis title, shown as "label (unit)"
+ * - name: short name used in tooltips
+ * - format: tooltip value formatter
+ * - tick: axis tick formatter (optional, d3 default otherwise)
+ * - short: compact formatter for crosshair labels
+ * - scale: default scale when the field is picked for an axis ('linear' | 'log' | 'sqrt')
+ * - min / tickValues / rotateTicks: optional axis defaults for the field
+ * - categorical: field is a category, only usable for color
+ * - total: field is a count, summed rather than averaged when countries are aggregated
+ */
+const FIELDS = {
+    income_per_capita: {
+        label: 'Income Per Capita',
+        unit: 'USD',
+        name: 'Income',
+        format: d => d3.format('$,.0f')(d),
+        tick: formatDollarsShort,
+        short: formatDollarsShort,
+        scale: 'log',
+        min: 100, // Avoid log(0) issues
+        tickValues: [200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000],
+        rotateTicks: true
+    },
+    hiv_incidence_rate: {
+        label: 'HIV Incidence Rate',
+        unit: 'per 1,000',
+        name: 'HIV Rate',
+        format: d => t('format.perThousand', { value: d3.format('.2f')(d) }),
+        tick: d => d3.format('.1f')(d),
+        short: d => d3.format('.1f')(d),
+        scale: 'sqrt'
+    },
+    hiv_new_infections: {
+        label: 'New HIV Infections',
+        unit: 'people',
+        name: 'New Infections',
+        format: d => d3.format(',.0f')(d),
+        tick: d => d3.format('~s')(d),
+        short: d => d3.format('.2s')(d),
+        scale: 'log',
+        min: 100,
+        total: true
+    },
+    hiv_treatment_coverage: {
+        label: 'HIV Treatment Coverage',
+        unit: '% of people living with HIV',
+        name: 'Treatment Coverage',
+        format: formatPercent('.0%'),
+        short: formatPercent('.0%'),
+        scale: 'linear'
+    },
+    life_expectancy: {
+        label: 'Life Expectancy',
+        unit: 'years',
+        name: 'Life Expectancy',
+        format: d => t('format.years', { value: d3.format('.1f')(d) }),
+        short: d => d3.format('.1f')(d),
+        scale: 'linear'
+    },
+    adult_literacy_rate: {
+        label: 'Adult Literacy Rate',
+        unit: '%',
+        name: 'Literacy Rate',
+        format: formatPercent('.1%'),
+        short: formatPercent('.1%'),
+        scale: 'linear'
+    },
+    secondary_school_enrollment: {
+        label: 'Secondary School Enrollment',
+        unit: '% gross',
+        name: 'School Enrollment',
+        format: formatPercent('.1%'),
+        short: formatPercent('.1%'),
+        scale: 'linear'
+    },
+    condom_use_female: {
+        label: 'Condom Use, Female',
+        unit: '%',
+        name: 'Condom Use (F)',
+        format: formatPercent('.1%'),
+        short: formatPercent('.1%'),
+        scale: 'linear'
+    },
+    condom_use_male: {
+        label: 'Condom Use, Male',
+        unit: '%',
+        name: 'Condom Use (M)',
+        format: formatPercent('.1%'),
+        short: formatPercent('.1%'),
+        scale: 'linear'
+    },
+    condom_use_average: {
+        label: 'Condom Use Rate',
+        unit: '%',
+        name: 'Condom Use',
+        format: formatPercent('.1%'),
+        short: formatPercent('.1%'),
+        scale: 'linear'
+    },
+    total_population: {
+        label: 'Total Population',
+        unit: 'people',
+        name: 'Population',
+        format: d => d3.format(',.0f')(d),
+        tick: d => d3.format('~s')(d),
+        short: d => d3.format('.2s')(d),
+        scale: 'log',
+        min: 10000,
+        total: true
+    },
+    income_group: { label: 'Income Group', name: 'Income Group', format: categoryName, categorical: true },
+    region: { label: 'Region', name: 'Region', format: categoryName, categorical: true },
+    year: { label: 'Year', name: 'Year', format: String, categorical: true }
+};
+
+// "Label (unit)" for axis titles and pickers
+const fieldLabel = field => FIELDS[field].unit 
+    ? t('field.labelUnit', { label: fieldText(field, 'label'), unit: fieldText(field, 'unit') }) 
+    : fieldText(field, 'label');
+
+const SCALE_SUFFIXES = { log: ' - Log Scale', sqrt: ' - Square Root Scale' };
+
+// Numeric indicators in processed_data.json, in the order the detail panel lists them
+const NUMERIC_FIELDS = [
+    'income_per_capita',
+    'hiv_incidence_rate',
+    'hiv_new_infections',
+    'hiv_treatment_coverage',
+    'life_expectancy',
+    'adult_literacy_rate',
+    'secondary_school_enrollment',
+    'condom_use_female',
+    'condom_use_male',
+    'condom_use_average',
+    'total_population'
+];
+
+// Encoding channels a scatter scene can map fields onto, with their picker labels
+const ENCODING_CHANNELS = { x: 'X Axis', y: 'Y Axis', size: 'Bubble Size', color: 'Color' };
+
+// Categorical fields countries can be rolled up by in aggregate mode
+const AGGREGATE_GROUPS = { region: 'Region', income_group: 'Income Group' };
+
+// Stacking order of the layers inside every chart
+const CHART_LAYERS = ['grid', 'axes', 'brush', 'trails', 'trend', 'points', 'pairs', 'aggregates', 'labels', 'overlay'];
+
+// Controls whose values are kept in the URL hash
+const URL_CONTROLS = '.year-slider, .region-select, .field-select, .view-select, .view-toggle';
+
+// Presentation properties copied inline when a chart is exported as a standalone SVG
+const EXPORT_STYLES = [
+    'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'paint-order'
+];
+
+// Columns of the CSV / JSON data export
+const EXPORT_COLUMNS = ['country_name', 'country_code', 'year', 'region', 'income_group', ...NUMERIC_FIELDS];
+
+// Checkboxes are stored as '1' / '' so every control can be compared by value
+const controlValue = control => control.type === 'checkbox' ? (control.checked ? '1' : '') : control.value;
+
+// Color scales offered on the map; 'hiv' follows the theme (colors.hiv as-is for HIV incidence)
+const MAP_PALETTES = {
+    hiv: { name: 'Theme default', interpolator: null },
+    viridis: { name: 'Viridis', interpolator: d3.interpolateViridis },
+    blues: { name: 'Blues', interpolator: d3.interpolateBlues },
+    ylgnbu: { name: 'Yellow-Green-Blue', interpolator: d3.interpolateYlGnBu }
+};
+
+/**
+ * Color themes. Every chart color comes from the active theme; the page around the charts is styled
+ * by the matching [data-theme] CSS variables in index.html.
+ * - income: one color per KNOWN_INCOME_GROUPS entry; regions: one per KNOWN_REGIONS entry
+ * - hiv / sequential: interpolators for HIV incidence and for other numeric color fields
+ * - pairs: colors of the paired fields, in order (e.g. female, male)
+ * - trend: trend lines and bands; crosshair: crosshair lines and values, and missing years in sparklines
+ * - highlight: the current year in sparklines
+ * - ink: text, axes and outlines; muted: secondary text and lines; grid: gridlines and legend borders
+ * - surface: legend and stats box background; halo: point outlines and the halo behind labels
+ * - missing: countries or points with no value
+ */
+const THEMES = {
+    standard: {
+        name: 'Standard',
+        income: ['#dc2626', '#d97706', '#059669', '#2563eb'],
+        regions: d3.schemeSet2,
+        hiv: d3.interpolateReds,
+        sequential: d3.interpolateViridis,
+        pairs: ['#c026d3', '#0d9488'],
+        trend: '#dc2626',
+        crosshair: '#dc2626',
+        highlight: '#2563eb',
+        ink: '#1f2937',
+        muted: '#6b7280',
+        grid: '#e5e7eb',
+        surface: '#ffffff',
+        halo: '#ffffff',
+        missing: '#d1d5db'
+    },
+    // Okabe-Ito colors, distinguishable with the common forms of color blindness
+    colorblind: {
+        name: 'Color-blind safe',
+        income: ['#d55e00', '#e69f00', '#56b4e9', '#0072b2'],
+        regions: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7'],
+        hiv: d3.interpolateOrRd,
+        sequential: d3.interpolateCividis,
+        pairs: ['#cc79a7', '#009e73'],
+        trend: '#000000',
+        crosshair: '#000000',
+        highlight: '#0072b2',
+        ink: '#1f2937',
+        muted: '#6b7280',
+        grid: '#e5e7eb',
+        surface: '#ffffff',
+        halo: '#ffffff',
+        missing: '#d1d5db'
+    },
+    contrast: {
+        name: 'High contrast',
+        income: ['#b91c1c', '#b45309', '#047857', '#1d4ed8'],
+        regions: ['#b91c1c', '#1d4ed8', '#047857', '#7e22ce', '#b45309', '#0e7490', '#be185d'],
+        hiv: frac => d3.interpolateReds(0.15 + 0.85 * frac),
+        sequential: d3.interpolateViridis,
+        pairs: ['#a21caf', '#0f766e'],
+        trend: '#000000',
+        crosshair: '#000000',
+        highlight: '#1d4ed8',
+        ink: '#000000',
+        muted: '#374151',
+        grid: '#9ca3af',
+        surface: '#ffffff',
+        halo: '#ffffff',
+        missing: '#9ca3af'
+    },
+    dark: {
+        name: 'Dark',
+        income: ['#f87171', '#fbbf24', '#34d399', '#60a5fa'],
+        regions: d3.schemeSet2,
+        hiv: d3.interpolateYlOrRd,
+        sequential: d3.interpolatePlasma,
+        pairs: ['#e879f9', '#2dd4bf'],
+        trend: '#fca5a5',
+        crosshair: '#fca5a5',
+        highlight: '#60a5fa',
+        ink: '#f3f4f6',
+        muted: '#9ca3af',
+        grid: '#374151',
+        surface: '#1f2937',
+        halo: '#111827',
+        missing: '#4b5563'
+    }
+};
+
+/**
+ * Scene config, as listed in the story file's `scenes` (STORY_URL). Each entry is rendered by
+ * NarrativeVisualization.renderScene() (renderMap() for type: 'map', renderLines() for type: 'lines') and
+ * gets its section, scene dot and controls built from it. FALLBACK_SCENES is a single overview scene in
+ * this format, shown when the story file can't be loaded.
+ *
+ * - id: names the scene for story translations (STORY_PROSE); steps and annotations take an id too
+ * - type: 'map' draws a choropleth of the color field instead of a scatter plot
+ * - type: 'lines' draws the y field over the years instead: per-year medians of each `group` with bands
+ *   from the 25th to the 75th percentile, optionally as small multiples, and a line per pinned country
+ * - x / y: { field, scale?, label?, min?, ticks?, tickValues?, rotateTicks? }
+ *   Anything left out falls back to the field's defaults in FIELDS
+ *   ('sqrt' scales start at zero with 10% headroom, 'log' scales are clamped at `min`)
+ * - size: { field, range } bubble radius encoding
+ * - color: { field } color encoding (income_group, region or any numeric field)
+ * - group: { field } the AGGREGATE_GROUPS field a lines scene draws medians for, all countries when left out
+ * - filters: controls shown under the chart
+ * - defaults: starting values of those controls by id without the scene number,
+ *   e.g. { 'year-slider': 2010, 'region-select': 'Sub-Saharan Africa' }
+ *     { type: 'year', playback? }   year slider, optionally with play/pause, speed and trails
+ *     { type: 'region' }            region select
+ *     { type: 'encoding' }          X, Y, bubble size and color field pickers
+ *     { type: 'pairs', fields: [{ field, name }, ...], label, single, paired, axisLabel, gapLabel }
+ *                                   switches the y axis to two fields per country drawn as a dumbbell,
+ *                                   colored with the theme's pairs colors
+ *     { type: 'map' }               indicator and color scale pickers for a map scene
+ *     { type: 'lines' }             indicator, median grouping and small multiples pickers for a lines scene,
+ *                                   and a country picker that pins the country picked
+ *     { type: 'aggregate' }         rolls countries up by AGGREGATE_GROUPS into population-weighted bubbles
+ *     { type: 'impute' }            opt-in gap filling (IMPUTE_METHODS); filled values are drawn dashed
+ * - since: first year to include when the scene has no year filter
+ *   (records from several years are then keyed by country and year)
+ * - require: extra fields that must be non-null for a record to be plotted
+ * - tooltip: fields listed in the hover tooltip ('x' / 'y' stand for the field currently on that axis),
+ *   after the fields currently on the x and y axes
+ * - legend: 'left' | 'right' placement of the color legend
+ * - trendLine: default fit, true (linear) or one of the TREND_METHODS keys; { type: 'trend' } in
+ *   filters lets the user switch it, weight it by population and see r, Spearman's rho, R² and n
+ * - grid / frame: optional chart furniture
+ * - annotations: story notes drawn with d3-annotation once the points have animated in, on the scene's
+ *   own x and y fields only. Each picks one record from the plotted data, so it follows the year,
+ *   region and legend filters (see resolveAnnotation):
+ *     anchored      { country: 'ZWE', year?: 2014 } a country, in a given year when the scene spans several
+ *     rule-based    { where: { field: value | [min, max] }, max | min: field } the matching record with
+ *                   the highest (lowest) value of a field; null ends a range open
+ *   plus { title, label } where {field} is replaced by the record's formatted value, and enclose: true
+ *   to draw a dashed box around every record matching `where` instead of circling the one picked
+ * - steps: story mode, walked through with the Next button before moving to the next scene. Each step
+ *   is { text, controls?, highlight?, annotations? }: controls maps control ids without the scene
+ *   number ('region-select', 'trend-select', ...) to values, everything else is reset to its default;
+ *   highlight lists country codes drawn like pinned countries; annotations lists indexes into
+ *   `annotations` (none when left out, all on the last step). The controls stay locked until the
+ *   last step, which opens the scene up for free exploration.
+ */
+const FALLBACK_SCENES = [
+    {
+        title: 'The Global Landscape',
+        subtitle: 'Income per capita and HIV incidence across the world',
+        x: { field: 'income_per_capita' },
+        y: { field: 'hiv_incidence_rate', ticks: 6 },
+        size: { field: 'total_population', range: [3, 25] },
+        color: { field: 'income_group' },
+        filters: [{ type: 'year', playback: true }, { type: 'region' }, { type: 'encoding' }, { type: 'trend' }],
+        legend: 'right',
+        grid: true
+    }
+];
+
+// Story file: header title and subtitle, page title and language, and the scenes in the format above. A ?story=name.json
+// query parameter loads another file from data/ instead, e.g. one adapted for another audience.
+const STORY_URL = 'data/story.json';
+
+// Story prose a translation can replace. A translation sits next to its story (data/story-fr.json) and holds only
+// these, keyed by id: { lang, title, ..., scenes: { <scene id>: { title, ..., steps: { <step id>: text },
+// annotations: { <annotation id>: { title, label } }, pairs: { label, ..., fields: { <field>: name } } } } }
+const STORY_PROSE = {
+    story: ['lang', 'title', 'subtitle', 'pageTitle'],
+    scene: ['title', 'subtitle', 'narrative', 'loadingText', 'emptyMessage'],
+    annotation: ['title', 'label'],
+    pairs: ['label', 'single', 'paired', 'axisLabel', 'gapLabel']
+};
+
+// Filter types buildControl() knows how to draw
+const FILTER_TYPES = ['year', 'region', 'encoding', 'trend', 'aggregate', 'impute', 'map', 'pairs', 'lines'];
+
+// Fewest countries reporting in a year for a lines scene to draw a median and band for it
+const LINE_MIN_COUNTRIES = 3;
+
+// ---- Statistics helpers for trend lines ----
+// Points are { u, y, w }: u is x in the space the fit is done in (raw or log10),
+// w a case weight (1, or population for weighted fits).
+
+// Two-sided 95% critical value of Student's t (Cornish-Fisher expansion, exact table below 3 df)
+const tCritical95 = df => {
+    if (df < 1) return NaN;
+    if (df === 1) return 12.706;
+    if (df === 2) return 4.303;
+    const z = 1.959964;
+    return z 
+        + (z ** 3 + z) / (4 * df) 
+        + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) 
+        + (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+};
+
+// Ranks starting at 1, ties get the average of their positions
+const rankValues = values => {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+        for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+        i = j + 1;
+    }
+    return ranks;
+};
+
+const weightedPearson = (xs, ys, ws = xs.map(() => 1)) => {
+    const total = d3.sum(ws);
+    const xMean = d3.sum(xs, (x, i) => ws[i] * x) / total;
+    const yMean = d3.sum(ys, (y, i) => ws[i] * y) / total;
+    let sxy = 0, sxx = 0, syy = 0;
+    xs.forEach((x, i) => {
+        sxy += ws[i] * (x - xMean) * (ys[i] - yMean);
+        sxx += ws[i] * (x - xMean) ** 2;
+        syy += ws[i] * (ys[i] - yMean) ** 2;
+    });
+    return sxy / Math.sqrt(sxx * syy);
+};
+
+// Weighted least squares line. Weights are rescaled to sum to n so the
+// standard errors stay on the scale of an unweighted fit.
+const fitLinear = points => {
+    const n = points.length;
+    const scale = n / d3.sum(points, p => p.w);
+    const w = points.map(p => p.w * scale);
+    const uMean = d3.sum(points, (p, i) => w[i] * p.u) / n;
+    const yMean = d3.sum(points, (p, i) => w[i] * p.y) / n;
+    
+    let suy = 0, suu = 0;
+    points.forEach((p, i) => {
+        suy += w[i] * (p.u - uMean) * (p.y - yMean);
+        suu += w[i] * (p.u - uMean) ** 2;
+    });
+    
+    const slope = suy / suu;
+    const intercept = yMean - slope * uMean;
+    const predict = u => intercept + slope * u;
+    
+    const sse = d3.sum(points, (p, i) => w[i] * (p.y - predict(p.u)) ** 2);
+    const sst = d3.sum(points, (p, i) => w[i] * (p.y - yMean) ** 2);
+    const s = Math.sqrt(sse / (n - 2));
+    
+    return {
+        predict,
+        // Standard error of the fitted mean at u
+        se: u => s * Math.sqrt(1 / n + (u - uMean) ** 2 / suu),
+        df: n - 2,
+        r2: 1 - sse / sst
+    };
+};
+
+// Local linear regression with tricube weights (LOESS, one pass, no robustness iterations)
+const fitLoess = (points, span = 0.75) => {
+    const n = points.length;
+    const q = Math.max(3, Math.ceil(span * n));
+    
+    // Smoother weights l_i(u) such that the fit at u is sum(l_i * y_i)
+    const smootherWeights = u => {
+        const distances = points.map(p => Math.abs(p.u - u));
+        const h = d3.quickselect(distances.slice(), q - 1)[q - 1] || 1e-9;
+        const k = points.map((p, i) => {
+            const frac = Math.min(distances[i] / (h * 1.000001), 1);
+            return p.w * (1 - frac ** 3) ** 3;
+        });
+        let s0 = 0, s1 = 0, s2 = 0;
+        points.forEach((p, i) => {
+            const du = p.u - u;
+            s0 += k[i];
+            s1 += k[i] * du;
+            s2 += k[i] * du * du;
+        });
+        const det = s0 * s2 - s1 * s1;
+        // Fall back to a local mean where the window has no spread in u
+        return points.map((p, i) => det > 1e-12 ? k[i] * (s2 - (p.u - u) * s1) / det : k[i] / s0);
+    };
+    
+    const predict = u => d3.sum(smootherWeights(u), (l, i) => l * points[i].y);
+    
+    // Residual variance with the smoother's equivalent degrees of freedom
+    let sse = 0, trace = 0;
+    points.forEach((p, i) => {
+        const l = smootherWeights(p.u);
+        sse += (p.y - d3.sum(l, (li, j) => li * points[j].y)) ** 2;
+        trace += l[i];
+    });
+    const yMean = d3.mean(points, p => p.y);
+    const sst = d3.sum(points, p => (p.y - yMean) ** 2);
+    const df = Math.max(n - trace, 1);
+    const s = Math.sqrt(sse / df);
+    
+    return {
+        predict,
+        se: u => s * Math.sqrt(d3.sum(smootherWeights(u), l => l * l)),
+        df: Math.round(df),
+        r2: 1 - sse / sst
+    };
+};
+
+const TREND_METHODS = {
+    none: 'None',
+    linear: 'Linear',
+    logx: 'Linear on log(x)',
+    loess: 'LOESS (local)'
+};
+
+// Gap filling for each country's yearly series, off by default
+const IMPUTE_METHODS = {
+    none: 'Off',
+    carry: 'Carry last value forward',
+    linear: 'Interpolate between years'
+};
+
+// Longest run of missing years that gap filling will bridge
+const IMPUTE_MAX_GAP = 5;
+
+// ---- Story annotations ----
+
+// Whether a record passes an annotation's `where`: equal to a category, or inside a [min, max] range
+const matchesWhere = (d, where = {}) => Object.entries(where).every(([field, test]) => {
+    if (!Array.isArray(test)) return d[field] === test;
+    const value = d[field];
+    if (value === null || value === undefined) return false;
+    const [min, max] = test;
+    return (min === null || value >= min) && (max === null || value <= max);
+});
+
+// The record an annotation points at in the plotted data, undefined when there is none
+const resolveAnnotation = (annotation, data) => {
+    if (annotation.country) {
+        return data.find(d => d.country_code === annotation.country && 
+            (annotation.year === undefined || d.year === annotation.year));
+    }
+    const field = annotation.max || annotation.min;
+    const matches = data.filter(d => matchesWhere(d, annotation.where) && 
+        (!field || (d[field] !== null && d[field] !== undefined)));
+    if (!field) return matches[0];
+    return annotation.max ? d3.greatest(matches, d => d[field]) : d3.least(matches, d => d[field]);
+};
+
+// Replaces "{field}" with the record's value, formatted as in tooltips
+const fillTemplate = (text, d) => text.replace(/\{(\w+)\}/g, (match, field) => {
+    const value = d[field];
+    if (value === null || value === undefined) return t('value.na');
+    return FIELDS[field] ? FIELDS[field].format(value) : String(value);
+});
+
+// ---- Data loaders ----
+
+const DATA_URL = 'data/processed_data.json';
+
+// World Bank WDI series behind each field (income is GDP per capita in constant 2015 US$)
+const WDI_SERIES = {
+    'NY.GDP.PCAP.KD': 'income_per_capita',
+    'SH.HIV.INCD.TL.P3': 'hiv_incidence_rate',
+    'SH.HIV.INCD.TL': 'hiv_new_infections',
+    'SH.HIV.ARTC.ZS': 'hiv_treatment_coverage',
+    'SP.DYN.LE00.IN': 'life_expectancy',
+    'SE.ADT.LITR.ZS': 'adult_literacy_rate',
+    'SE.SEC.ENRR': 'secondary_school_enrollment',
+    'SH.CON.1524.FE.ZS': 'condom_use_female',
+    'SH.CON.1524.MA.ZS': 'condom_use_male',
+    'SP.POP.TOTL': 'total_population'
+};
+
+// WDI marks missing values with '..' (DataBank) or an empty cell (bulk download)
+const wdiNumber = value => (value === undefined || value === '' || value === '..') ? null : +value;
+
+// Rows of a WDI CSV, skipping the preamble some exports put above the header
+const wdiRows = text => {
+    const lines = text.split(/\r?\n/);
+    const header = lines.findIndex(line => line.includes('Country Code'));
+    return d3.csvParse(lines.slice(Math.max(header, 0)).join('\n'));
+};
+
+// Wide WDI export (one row per country and series, one column per year) to one record per country-year.
+// Year columns are "2006" (bulk download) or "2006 [YR2006]" (DataBank); series not in WDI_SERIES are ignored.
+const parseWdiCsv = text => {
+    const rows = wdiRows(text);
+    const seriesColumn = rows.columns.includes('Series Code') ? 'Series Code' : 'Indicator Code';
+    const yearColumns = rows.columns
+        .map(column => [column, column.match(/^(\d{4})(?: \[YR\d{4}\])?$/)])
+        .filter(([, match]) => match)
+        .map(([column, match]) => [column, +match[1]]);
+    
+    const records = new Map();
+    rows.forEach(row => {
+        const field = WDI_SERIES[row[seriesColumn]];
+        if (!field || !row['Country Code']) return;
+        
+        yearColumns.forEach(([column, year]) => {
+            const value = wdiNumber(row[column]);
+            if (value === null) return;
+            
+            const key = `${row['Country Code']}_${year}`;
+            if (!records.has(key)) {
+                records.set(key, {
+                    country_name: row['Country Name'],
+                    country_code: row['Country Code'],
+                    year,
+                    region: null,
+                    income_group: null,
+                    ...Object.fromEntries(NUMERIC_FIELDS.map(f => [f, null]))
+                });
+            }
+            records.get(key)[field] = value;
+        });
+    });
+    return [...records.values()];
+};
+
+/**
+ * Data loaders, tried in order; the first whose detect(text, filename) matches parses the file.
+ * parse(text) returns records in the processed_data.json schema. JSON and CSV values are kept
+ * as given (CSV cells typed by d3.autoType); `metadata` loaders return only
+ * { country_code, region, income_group } used to fill in the other files' records, and
+ * `needsMetadata` loaders produce records without region or income group.
+ */
+const DATA_LOADERS = [
+    {
+        name: 'JSON',
+        detect: (text, filename) => /\.json$/i.test(filename) || /^\s*[[{]/.test(text),
+        parse: text => {
+            const data = JSON.parse(text);
+            const records = Array.isArray(data) ? data : data.records;
+            if (!Array.isArray(records)) throw new Error('expected an array of records');
+            return records;
+        }
+    },
+    {
+        name: 'World Bank WDI country metadata',
+        metadata: true,
+        detect: text => /Country Code/.test(text.slice(0, 2000)) && /Income ?Group/.test(text.slice(0, 2000)),
+        parse: text => wdiRows(text).map(row => ({
+            country_code: row['Country Code'],
+            region: row.Region || null,
+            income_group: row.IncomeGroup || row['Income Group'] || null
+        }))
+    },
+    {
+        name: 'World Bank WDI CSV',
+        needsMetadata: true,
+        detect: text => /(Series|Indicator) Code/.test(text.slice(0, 2000)),
+        parse: parseWdiCsv
+    },
+    {
+        name: 'CSV',
+        detect: (text, filename) => /\.csv$/i.test(filename) || /^[^\n]*country_code/.test(text),
+        parse: text => d3.csvParse(text, d3.autoType)
+    }
+];
+
+// ---- Validation ----
+
+// Records missing one of these are skipped
+const REQUIRED_FIELDS = ['country_name', 'country_code', 'year'];
+
+// The record schema; any other field is reported as unknown (usually a misspelled column)
+const KNOWN_FIELDS = new Set([...REQUIRED_FIELDS, 'region', 'income_group', ...NUMERIC_FIELDS]);
+
+// World Bank classifications
+const KNOWN_REGIONS = [
+    'East Asia & Pacific',
+    'Europe & Central Asia',
+    'Latin America & Caribbean',
+    'Middle East & North Africa',
+    'North America',
+    'South Asia',
+    'Sub-Saharan Africa'
+];
+const KNOWN_INCOME_GROUPS = ['Low income', 'Lower middle income', 'Upper middle income', 'High income'];
+
+// WDI series start in 1960
+const YEAR_RANGE = [1960, new Date().getFullYear()];
+
 class NarrativeVisualization {
-    constructor() {
+    constructor(scenes = FALLBACK_SCENES) {
         // State management
+        this.scenes = scenes;
         this.currentScene = 1;
         this.data = null;
         this.filteredData = null;
         this.regions = [];
         this.incomeGroups = [];
         this.years = [];
+        this.countries = [];
+        this.pinnedCountries = new Set(); // country_code values highlighted in every scene
+        this.selectedCountries = new Set(); // country_code values picked with the brush, shared by every scene
+        this.highlighted = new Set(); // country_code values the current story step points out
         
-        // Visual parameters - moderately larger chart for better visibility
-        this.margin = { top: 50, right: 70, bottom: 90, left: 90 };
+        // Visual parameters: margins around the plot area, tighter on narrow screens.
+        // this.width / this.height are measured from the chart's container before every render.
+        this.margins = {
+            regular: { top: 50, right: 70, bottom: 90, left: 90 },
+            compact: { top: 40, right: 20, bottom: 80, left: 60 }
+        };
+        this.margin = this.margins.regular;
         this.width = 1100 - this.margin.left - this.margin.right;
         this.height = 500 - this.margin.top - this.margin.bottom;
         
@@ -22,86 +897,895 @@ class NarrativeVisualization {
         this.transitionDuration = 800;
         this.transitionEase = d3.easeQuadInOut;
         
-        // Color schemes
-        this.colors = {
-            regions: d3.scaleOrdinal(d3.schemeSet2),
-            income: d3.scaleOrdinal()
-                .domain(['Low income', 'Lower middle income', 'Upper middle income', 'High income'])
-                .range(['#dc2626', '#d97706', '#059669', '#2563eb']),
-            hiv: d3.scaleSequential(d3.interpolateReds).domain([0, 5])
-        };
+        // Year playback: the running d3.interval and the scene it drives
+        this.playback = { timer: null, scene: null };
+        
+        // Records each scene plotted in its last render, by scene number, for the data export
+        this.plotted = {};
+        
+        // Legend categories switched off, by scene number: { field, hidden: Set }
+        this.legendState = {};
+        
+        // Story step each scene with `steps` is on, by scene number. The last step means the story is over.
+        this.storySteps = {};
+        
+        // d3.zoom behaviors and the unzoomed point positions, by scene number
+        this.zooms = {};
+        this.zoomBase = {};
+        
+        // Country shapes for map scenes, loaded the first time one is shown
+        this.world = null;
         
         // Initialize
+        this.start();
+    }
+    
+    async start() {
+        await this.loadLanguage();
+        await this.loadStory();
+        this.buildScenes();
         this.initializeEventListeners();
+        this.applyTheme('standard'); // Sets this.theme and the color scales in this.colors
         this.loadData();
     }
     
+    // Pick the language from the URL (lang=fr) or the browser, load its catalog and translate the page.
+    // English is used when neither names one of LANGUAGES or the catalog can't be loaded.
+    async loadLanguage() {
+        const requested = new URLSearchParams(window.location.hash.slice(1)).get('lang');
+        const preferred = [requested, ...(navigator.languages || [navigator.language])]
+            .map(code => String(code || '').slice(0, 2).toLowerCase());
+        const language = preferred.find(code => Object.hasOwn(LANGUAGES, code)) || 'en';
+        
+        this.language = 'en';
+        if (language !== 'en') {
+            try {
+                setLocale(language, await d3.json(`data/i18n/${language}.json`));
+                this.language = language;
+            } catch (error) {
+                console.log(`Could not load the ${LANGUAGES[language]} catalog, using English...`, error);
+            }
+        }
+        // updateUrl() keeps lang= for a language picked in the URL or the picker, and for one the browser wouldn't pick
+        this.languageChosen = this.language === preferred[0];
+        this.browserLanguage = preferred.slice(1).find(code => Object.hasOwn(LANGUAGES, code)) || 'en';
+        
+        document.documentElement.lang = this.language;
+        this.translatePage();
+    }
+    
+    // Fill the page's static text from its data-i18n (text), data-i18n-placeholder and data-i18n-aria-label keys
+    translatePage() {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n, {}, element.textContent);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder, {}, element.placeholder);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel, {}, element.getAttribute('aria-label')));
+        });
+        // Shown by the body.drag-active::after overlay while a file is dragged over the page
+        document.body.dataset.dropOverlay = t('data.dropOverlay');
+        
+        const select = document.getElementById('language-select');
+        if (select) {
+            select.innerHTML = Object.entries(LANGUAGES)
+                .map(([code, name]) => `<option value="${code}" lang="${code}">${name}</option>`)
+                .join('');
+            select.value = this.language;
+        }
+    }
+    
+    // Load the story file and render its header. FALLBACK_SCENES stay when it is missing or invalid.
+    // Its translation in the current language (data/story-fr.json), when there is one, replaces the prose.
+    async loadStory() {
+        const requested = new URLSearchParams(window.location.search).get('story');
+        const url = requested && /^[\w-]+\.json$/.test(requested) ? `data/${requested}` : STORY_URL;
+        let story;
+        try {
+            story = await d3.json(url);
+            this.scenes = this.validateStory(story);
+        } catch (error) {
+            console.log(`Could not load story file ${url}, using the fallback scene...`, error);
+            return;
+        }
+        
+        if (this.language !== (story.lang || 'en')) {
+            const translationUrl = url.replace(/\.json$/, `-${this.language}.json`);
+            try {
+                story = this.translateStory(story, await d3.json(translationUrl));
+                this.scenes = this.validateStory(story);
+            } catch (error) {
+                console.log(`Could not load story translation ${translationUrl}...`, error);
+            }
+        }
+        
+        const header = document.querySelector('.header');
+        if (story.title) header.querySelector('h1').textContent = story.title;
+        if (story.subtitle) header.querySelector('p').textContent = story.subtitle;
+        if (story.pageTitle) document.title = story.pageTitle;
+        // A story in another language than the UI (e.g. no translation yet) is marked as such
+        if (story.lang && story.lang !== this.language) {
+            [header.querySelector('h1'), header.querySelector('p'), document.getElementById('scenes')]
+                .forEach(element => element.setAttribute('lang', story.lang));
+        }
+    }
+    
+    // Return a copy of the story with the translation's prose (STORY_PROSE) in place of its own.
+    // Chart config always comes from the story; anything the translation leaves out stays as it is.
+    translateStory(story, translation) {
+        const pick = (target, source, keys) => {
+            keys.forEach(key => {
+                if (source && source[key] !== undefined) target[key] = source[key];
+            });
+            return target;
+        };
+        const scenes = translation.scenes || {};
+        Object.keys(scenes).filter(id => !story.scenes.some(scene => scene.id === id))
+            .forEach(id => console.log(`Story translation: no scene "${id}"`));
+        
+        return pick({ ...story, scenes: story.scenes.map(scene => {
+            const prose = scenes[scene.id];
+            if (scene.id === undefined || !prose) return scene;
+            
+            const translated = pick({ ...scene }, prose, STORY_PROSE.scene);
+            if (scene.steps && prose.steps) {
+                translated.steps = scene.steps.map(step => typeof prose.steps[step.id] === 'string' 
+                    ? { ...step, text: prose.steps[step.id] } : step);
+            }
+            if (scene.annotations && prose.annotations) {
+                translated.annotations = scene.annotations.map(annotation => 
+                    pick({ ...annotation }, prose.annotations[annotation.id], STORY_PROSE.annotation));
+            }
+            if (scene.filters && prose.pairs) {
+                translated.filters = scene.filters.map(filter => filter.type !== 'pairs' ? filter : {
+                    ...pick({ ...filter }, prose.pairs, STORY_PROSE.pairs),
+                    fields: filter.fields.map(field => ({ ...field, name: prose.pairs.fields?.[field.field] ?? field.name }))
+                });
+            }
+            return translated;
+        }) }, translation, STORY_PROSE.story);
+    }
+    
+    // Check a story's scenes against FIELDS and FILTER_TYPES and return them; throws on the first problem
+    validateStory(story) {
+        if (!story || !Array.isArray(story.scenes) || !story.scenes.length) {
+            throw new Error('story has no scenes');
+        }
+        
+        const checkField = (field, where) => {
+            if (!Object.hasOwn(FIELDS, field)) throw new Error(`${where}: unknown field "${field}"`);
+        };
+        // Ids key the story's translations, so each must be unique in its list
+        const checkIds = (items, where) => {
+            const ids = (items || []).map(item => item.id).filter(id => id !== undefined);
+            const repeated = ids.find((id, k) => ids.indexOf(id) !== k);
+            if (repeated !== undefined) throw new Error(`${where}: duplicate id "${repeated}"`);
+        };
+        checkIds(story.scenes, 'scenes');
+        story.scenes.forEach((scene, i) => {
+            const where = `scene ${i + 1}`;
+            if (typeof scene.title !== 'string') throw new Error(`${where}: missing title`);
+            checkIds(scene.steps, `${where} steps`);
+            checkIds(scene.annotations, `${where} annotations`);
+            // Maps only have a color field and line charts only a y field
+            const channels = { map: [], lines: ['y'] }[scene.type] || ['x', 'y'];
+            channels.forEach(channel => checkField(scene[channel] && scene[channel].field, `${where} ${channel}`));
+            if (scene.group && !Object.hasOwn(AGGREGATE_GROUPS, scene.group.field)) {
+                throw new Error(`${where}: unknown group "${scene.group.field}"`);
+            }
+            ['size', 'color'].forEach(channel => {
+                if (scene[channel] && scene[channel].field) checkField(scene[channel].field, `${where} ${channel}`);
+            });
+            (scene.filters || []).forEach(filter => {
+                if (!FILTER_TYPES.includes(filter.type)) throw new Error(`${where}: unknown filter "${filter.type}"`);
+            });
+            (scene.steps || []).forEach((step, j) => {
+                if (typeof step.text !== 'string') throw new Error(`${where} step ${j + 1}: missing text`);
+                (step.annotations || []).forEach(n => {
+                    if (!(scene.annotations || [])[n]) throw new Error(`${where} step ${j + 1}: no annotation ${n}`);
+                });
+            });
+        });
+        return story.scenes;
+    }
+    
     async loadData() {
         try {
             console.log('Loading data...');
             // Try to load from external file first, fallback to embedded data
+            let records;
+            let source = DATA_URL;
             try {
-                this.data = await d3.json('data/processed_data.json');
-            } catch (corsError) {
-                console.log('CORS error detected, using embedded data...');
-                // Fallback: load embedded data (will be added below)
-                this.data = this.getEmbeddedData();
+                records = this.parseDataFiles([{ name: DATA_URL, text: await d3.text(DATA_URL) }]);
+            } catch (loadError) {
+                console.log('Could not load data file, using embedded sample data...', loadError);
+                records = this.getEmbeddedData();
+                source = t('data.embedded', { url: DATA_URL });
             }
             
-            // Extract unique values for filters
-            this.regions = [...new Set(this.data.map(d => d.region).filter(r => r))].sort();
-            this.incomeGroups = [...new Set(this.data.map(d => d.income_group).filter(r => r))].sort();
-            this.years = [...new Set(this.data.map(d => d.year))].sort((a, b) => b - a);
+            this.setData(records, source);
             
-            console.log(`Data loaded: ${this.data.length} records, ${this.regions.length} regions`);
+        } catch (error) {
+            console.error('Error loading data:', error);
+            this.showError(t('error.loadData'));
+        }
+    }
+    
+    // Replace the dataset with files picked or dropped by the user
+    async loadFiles(fileList) {
+        const names = [...fileList].map(file => file.name).join(', ');
+        try {
+            const files = await Promise.all([...fileList].map(async file => ({ name: file.name, text: await file.text() })));
+            const records = this.parseDataFiles(files);
+            if (!records.length) throw new Error(t('error.noRecordsInFiles'));
             
-            // Populate filter options
-            this.populateFilters();
+            this.stopPlayback();
+            this.hideCountryDetail();
+            this.setData(records, names);
+        } catch (error) {
+            console.error('Error loading files:', error);
+            this.setDataStatus(t('error.loadFiles', { names, message: error.message }), true);
+        }
+    }
+    
+    // Parse each file with the first matching DATA_LOADERS entry and combine the results.
+    // Records for the same country and year from different files (e.g. one WDI export per series)
+    // are merged. Missing regions and income groups come from metadata files or the current dataset.
+    parseDataFiles(files) {
+        const parsed = files.map(({ name, text }) => {
+            const loader = DATA_LOADERS.find(l => l.detect(text, name));
+            if (!loader) throw new Error(t('error.unknownFormat', { name }));
+            console.log(`Reading ${name} as ${loader.name}`);
+            return { loader, rows: loader.parse(text) };
+        });
+        
+        const metadata = new Map((this.data || []).map(d => [d.country_code, d]));
+        parsed.filter(p => p.loader.metadata).forEach(p => {
+            p.rows.forEach(row => metadata.set(row.country_code, row));
+        });
+        
+        const dataFiles = parsed.filter(p => !p.loader.metadata);
+        if (!dataFiles.length) throw new Error(t('error.metadataOnly'));
+        
+        const records = [];
+        const byKey = new Map();
+        dataFiles.forEach(({ loader, rows }) => rows.forEach(row => {
+            const info = metadata.get(row.country_code);
+            const record = {
+                ...row,
+                region: row.region ?? (info ? info.region : null),
+                income_group: row.income_group ?? (info ? info.income_group : null)
+            };
             
-            // Initialize first scene
-            this.renderCurrentScene();
+            // WDI exports include aggregates such as World (WLD); they have no region
+            if (loader.needsMetadata && !record.region) return;
             
-        } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError('Failed to load data. Please check the console for details.');
+            const key = `${record.country_code}_${record.year}`;
+            const existing = dataFiles.length > 1 && byKey.get(key);
+            if (existing) {
+                NUMERIC_FIELDS.forEach(field => {
+                    if (existing[field] === null || existing[field] === undefined) existing[field] = record[field];
+                });
+            } else {
+                records.push(record);
+                byKey.set(key, record);
+            }
+        }));
+        
+        // Derived field: average of whichever of the female / male rates is available
+        records.forEach(d => {
+            if (d.condom_use_average === null || d.condom_use_average === undefined) {
+                const rates = [d.condom_use_female, d.condom_use_male].filter(v => typeof v === 'number');
+                d.condom_use_average = rates.length ? d3.mean(rates) : null;
+            }
+        });
+        return records;
+    }
+    
+    // Validate `records`, make the valid ones the dataset and rebuild everything derived from it
+    // (the current dataset is kept if none are valid)
+    setData(records, source) {
+        const report = this.validateData(records);
+        this.renderDataReport(report, source);
+        if (!report.records.length) {
+            this.showError(t('error.noValidRecords', { source }));
+            return;
         }
+        
+        this.data = report.records;
+        this.dataSummary = report.summary;
+        this.imputedData = {}; // Filled copies of this.data per IMPUTE_METHODS key, built on demand
+        
+        // Extract unique values for filters
+        this.regions = [...new Set(this.data.map(d => d.region).filter(r => r))].sort();
+        this.incomeGroups = [...new Set(this.data.map(d => d.income_group).filter(r => r))].sort();
+        this.years = [...new Set(this.data.map(d => d.year))].sort((a, b) => b - a);
+        this.countries = d3.groups(this.data, d => d.country_code)
+            .map(([code, records]) => ({ code, name: records[0].country_name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        console.log(`Data loaded: ${this.data.length} records, ${this.regions.length} regions`);
+        this.setDataStatus(t('data.status', {
+            source,
+            records: d3.format(',')(this.data.length),
+            countries: d3.format(',')(this.countries.length),
+            years: `${d3.min(this.years)}–${d3.max(this.years)}`
+        }));
+        
+        // Populate filter options
+        this.populateFilters();
+        
+        // Restore scene and filters from a shared link, then render
+        this.goToScene(this.applyUrlState(), { pushHistory: false });
+    }
+    
+    // Check records against the schema: required fields, types, year range, duplicate
+    // country-years and unknown fields, regions or income groups. Records with a missing
+    // required field, a bad year or an already seen country-year are dropped; values of the
+    // wrong type are cleared. Returns { records, issues, summary }, where each issue is
+    // { level: 'error' | 'warning', message, count, examples } and summary has the
+    // data_summary.json counts.
+    validateData(records) {
+        const issues = new Map();
+        const report = (level, message, example) => {
+            if (!issues.has(message)) issues.set(message, { level, message, count: 0, examples: [] });
+            const issue = issues.get(message);
+            issue.count++;
+            if (example && issue.examples.length < 3) issue.examples.push(example);
+        };
+        
+        const valid = [];
+        const seen = new Set();
+        records.forEach((raw, i) => {
+            if (!raw || typeof raw !== 'object') {
+                report('error', t('validation.notRecord'), `#${i + 1}`);
+                return;
+            }
+            
+            const d = { ...raw };
+            const name = `${d.country_code || d.country_name || `#${i + 1}`} ${d.year ?? ''}`.trim();
+            
+            Object.keys(d).filter(field => !KNOWN_FIELDS.has(field)).forEach(field => {
+                report('warning', t('validation.unknownField', { field }), name);
+            });
+            
+            const missing = REQUIRED_FIELDS.filter(field => d[field] === null || d[field] === undefined || d[field] === '');
+            if (missing.length) {
+                report('error', t('validation.missing', { fields: missing.join(', ') }), name);
+                return;
+            }
+            
+            if (!Number.isInteger(d.year) || d.year < YEAR_RANGE[0] || d.year > YEAR_RANGE[1]) {
+                report('error', t('validation.year', { min: YEAR_RANGE[0], max: YEAR_RANGE[1] }), 
+                    `${name} (${JSON.stringify(d.year)})`);
+                return;
+            }
+            
+            const key = `${d.country_code}_${d.year}`;
+            if (seen.has(key)) {
+                report('error', t('validation.duplicate'), name);
+                return;
+            }
+            seen.add(key);
+            
+            NUMERIC_FIELDS.forEach(field => {
+                if (d[field] === undefined) {
+                    d[field] = null;
+                } else if (d[field] !== null && !Number.isFinite(d[field])) {
+                    report('error', t('validation.notNumber', { label: fieldText(field, 'label') }), `${name} (${JSON.stringify(d[field])})`);
+                    d[field] = null;
+                }
+            });
+            
+            if (!d.region) {
+                report('warning', t('validation.noRegion'), name);
+            } else if (!KNOWN_REGIONS.includes(d.region)) {
+                report('warning', t('validation.unknownRegion', { region: d.region }), name);
+            }
+            if (!d.income_group) {
+                report('warning', t('validation.noIncomeGroup'), name);
+            } else if (!KNOWN_INCOME_GROUPS.includes(d.income_group)) {
+                report('warning', t('validation.unknownIncomeGroup', { group: d.income_group }), name);
+            }
+            
+            valid.push(d);
+        });
+        
+        // A field absent from every record is usually a renamed or misspelled column
+        NUMERIC_FIELDS.filter(field => !records.some(d => d && field in d)).forEach(field => {
+            issues.set(field, { 
+                level: 'warning', 
+                message: t('validation.absentField', { label: fieldText(field, 'label'), field }), 
+                count: null, 
+                examples: [] 
+            });
+        });
+        
+        const distinct = field => new Set(valid.map(d => d[field]).filter(v => v)).size;
+        const summary = {
+            total_records: valid.length,
+            countries: distinct('country_code'),
+            regions: distinct('region'),
+            income_groups: distinct('income_group'),
+            years: distinct('year'),
+            data_availability: Object.fromEntries(NUMERIC_FIELDS.map(field => 
+                [field, valid.filter(d => d[field] !== null).length]
+            ))
+        };
+        
+        // Errors first
+        const sorted = [...issues.values()].sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+        return { records: valid, issues: sorted, summary };
+    }
+    
+    // Validation issues and per-indicator coverage, in the collapsible report under the data bar.
+    // Built with text nodes, as uploaded files can contain anything.
+    renderDataReport({ records, issues, summary }, source) {
+        const details = d3.select('#data-report');
+        if (details.empty()) return;
+        
+        const errors = issues.filter(issue => issue.level === 'error').length;
+        const warnings = issues.length - errors;
+        details.html('').attr('hidden', null).property('open', errors > 0);
+        
+        details.append('summary')
+            .classed('has-errors', errors > 0)
+            .text(issues.length
+                ? t('report.summary', { 
+                    errors: t('report.errors', { count: errors }), 
+                    warnings: t('report.warnings', { count: warnings }), 
+                    source 
+                })
+                : t('report.clean', { source }));
+        
+        const list = details.append('ul').attr('class', 'report-issues');
+        issues.forEach(issue => {
+            const item = list.append('li').attr('class', issue.level);
+            item.append('strong').text(issue.message);
+            if (issue.count !== null) {
+                item.append('span').text(` · ${t('report.records', { count: issue.count })}` +
+                    (issue.examples.length ? t('report.examples', { examples: issue.examples.join('; ') }) : ''));
+            }
+        });
+        
+        details.append('p')
+            .attr('class', 'report-summary')
+            .text([
+                t('report.records', { count: summary.total_records }),
+                t('report.countries', { count: summary.countries }),
+                t('report.regions', { count: summary.regions }),
+                t('report.incomeGroups', { count: summary.income_groups }),
+                t('report.years', { count: summary.years })
+            ].join(' · '));
+        
+        const table = details.append('table').attr('class', 'coverage-table');
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(['report.indicator', 'report.values', 'report.share', 'report.countryCount'])
+            .join('th')
+            .text(key => t(key));
+        
+        const rows = table.append('tbody')
+            .selectAll('tr')
+            .data(NUMERIC_FIELDS)
+            .join('tr');
+        const share = field => summary.total_records ? summary.data_availability[field] / summary.total_records : 0;
+        rows.append('td').text(field => fieldText(field, 'label'));
+        rows.append('td').text(field => d3.format(',')(summary.data_availability[field]));
+        const bars = rows.append('td');
+        bars.append('span')
+            .attr('class', 'coverage-bar')
+            .style('width', field => `${Math.round(share(field) * 60)}px`);
+        bars.append('span').text(field => ` ${d3.format('.0%')(share(field))}`);
+        rows.append('td').text(field => new Set(records.filter(d => d[field] !== null).map(d => d.country_code)).size);
+    }
+    
+    setDataStatus(text, isError = false) {
+        const status = document.getElementById('data-source-status');
+        if (!status) return;
+        
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+    
+    // Country shapes for the map from the TopoJSON bundled in data/, keyed by ISO3 code (properties.a3)
+    async loadWorld() {
+        const topology = await d3.json('data/world-110m.json');
+        const countries = topojson.feature(topology, topology.objects.countries);
+        countries.features = countries.features.filter(f => f.properties.a3 !== 'ATA'); // Antarctica has no data
+        this.world = countries;
     }
     
     populateFilters() {
         // Populate region filters
-        const regionSelects = document.querySelectorAll('[id$="region-select-1"]');
+        const regionSelects = document.querySelectorAll('.region-select');
         regionSelects.forEach(select => {
-            select.innerHTML = '<option value="all">All Regions</option>';
+            select.innerHTML = `<option value="all">${t('control.allRegions')}</option>`;
             this.regions.forEach(region => {
                 const option = document.createElement('option');
                 option.value = region;
-                option.textContent = region;
+                option.textContent = categoryName(region);
                 select.appendChild(option);
             });
         });
         
-        // Set up year sliders for scenes 1 and 2 only
-        const yearSliders = ['year-slider-1', 'year-slider-2'];
-        const yearDisplays = ['year-display-1', 'year-display-2'];
+        // Country pickers of lines scenes
+        document.querySelectorAll('.country-add').forEach(select => {
+            select.innerHTML = `<option value="">${t('control.chooseCountry')}</option>`;
+            this.countries.forEach(country => {
+                const option = document.createElement('option');
+                option.value = country.code;
+                option.textContent = country.name;
+                select.appendChild(option);
+            });
+        });
         
-        yearSliders.forEach((sliderId, index) => {
-            const yearSlider = document.getElementById(sliderId);
-            if (yearSlider) {
-                const minYear = Math.min(...this.years);
-                const maxYear = Math.max(...this.years);
-                yearSlider.min = minYear;
-                yearSlider.max = maxYear;
-                yearSlider.value = maxYear; // Start with most recent year
-                
-                const displayId = yearDisplays[index];
-                const display = document.getElementById(displayId);
-                if (display) {
-                    display.textContent = maxYear;
+        // Set up year sliders for every scene with a year filter
+        const minYear = Math.min(...this.years);
+        const maxYear = Math.max(...this.years);
+        document.querySelectorAll('.year-slider').forEach(yearSlider => {
+            yearSlider.min = minYear;
+            yearSlider.max = maxYear;
+            yearSlider.value = maxYear; // Start with most recent year
+            
+            const display = document.getElementById(yearSlider.id.replace('slider', 'display'));
+            if (display) {
+                display.textContent = maxYear;
+            }
+        });
+        
+        // Starting values from the story, before they are remembered as defaults
+        this.scenes.forEach((scene, i) => {
+            Object.entries(scene.defaults || {}).forEach(([name, value]) => {
+                const control = document.getElementById(`${name}-${i + 1}`);
+                if (control && (control.dataset.default === undefined || control.type === 'range')) {
+                    this.setControlValue(control, value);
                 }
+            });
+        });
+        
+        // Remember defaults so the URL only carries values that differ from them
+        // (year sliders again on every load, as a new dataset can end in a different year)
+        document.querySelectorAll(URL_CONTROLS).forEach(control => {
+            if (control.dataset.default === undefined || control.type === 'range') {
+                control.dataset.default = controlValue(control);
             }
         });
+    }
+    
+    // Serialize the current scene and control values into the URL hash
+    updateUrl({ push = false } = {}) {
+        const params = new URLSearchParams();
+        params.set('scene', this.currentScene);
         
-       
+        document.querySelectorAll(URL_CONTROLS).forEach(control => {
+            if (controlValue(control) !== control.dataset.default) {
+                params.set(control.id, controlValue(control));
+            }
+        });
+        
+        if (this.pinnedCountries.size) {
+            params.set('pinned', [...this.pinnedCountries].join(','));
+        }
+        if (this.selectedCountries.size) {
+            params.set('selected', [...this.selectedCountries].join(','));
+        }
+        if (this.themeName !== 'standard') {
+            params.set('theme', this.themeName);
+        }
+        if (this.languageChosen || this.language !== this.browserLanguage) {
+            params.set('lang', this.language);
+        }
+        Object.entries(this.legendState).forEach(([index, state]) => {
+            if (state.hidden.size) params.set(`legend-${index}`, [...state.hidden].join(','));
+        });
+        Object.keys(this.storySteps).forEach(index => {
+            if (this.inStory(+index)) params.set(`step-${index}`, this.storySteps[index]);
+        });
+        
+        const hash = `#${params}`;
+        if (hash === window.location.hash) return;
+        
+        // Scene changes get their own history entry, filter tweaks replace the current one
+        if (push) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+    }
+    
+    // Apply control values from the URL hash and return the scene it points to
+    applyUrlState() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        
+        document.querySelectorAll(URL_CONTROLS).forEach(control => {
+            this.setControlValue(control, params.get(control.id) ?? control.dataset.default);
+        });
+        
+        // Without a scene in the hash (a first visit, or only lang= / theme=) every story starts at its first
+        // step. A shared link carries step-N for the stories still in progress, so scenes without one open
+        // ready to explore.
+        this.scenes.forEach((scene, i) => {
+            if (!scene.steps) return;
+            const step = parseInt(params.get(`step-${i + 1}`));
+            this.storySteps[i + 1] = !params.has('scene') ? 1 
+                : step >= 1 && step <= scene.steps.length ? step : scene.steps.length;
+        });
+        
+        const known = new Set(this.countries.map(c => c.code));
+        this.pinnedCountries = new Set((params.get('pinned') || '').split(',').filter(code => known.has(code)));
+        this.selectedCountries = new Set((params.get('selected') || '').split(',').filter(code => known.has(code)));
+        this.renderPinnedCountries();
+        
+        // The legend's field is settled when the scene is drawn with its color field
+        this.legendState = {};
+        this.scenes.forEach((scene, i) => {
+            const hidden = params.get(`legend-${i + 1}`);
+            if (hidden) this.legendState[i + 1] = { field: null, hidden: new Set(hidden.split(',')) };
+        });
+        
+        const theme = Object.hasOwn(THEMES, params.get('theme')) ? params.get('theme') : 'standard';
+        if (theme !== this.themeName) this.applyTheme(theme);
+        
+        const scene = parseInt(params.get('scene'));
+        return scene >= 1 && scene <= this.scenes.length ? scene : 1;
+    }
+    
+    // Set a control from a URL or story value: a year, true or '1' for a ticked checkbox, or an option value.
+    // Years are clamped to the slider; unknown options leave a select as it is.
+    setControlValue(control, value) {
+        if (control.type === 'range') {
+            const year = Math.min(Math.max(parseInt(value) || control.max, control.min), control.max);
+            control.value = year;
+            document.getElementById(control.id.replace('slider', 'display')).textContent = year;
+        } else if (control.type === 'checkbox') {
+            control.checked = value === true || value === '1';
+        } else if ([...control.options].some(option => option.value === String(value))) {
+            control.value = value;
+        }
+    }
+    
+    // Switch to one of THEMES: the chart colors, and the page's [data-theme] styles. Charts are cleared
+    // so every element is drawn in the new colors on its next render.
+    applyTheme(name) {
+        const theme = THEMES[name];
+        this.themeName = name;
+        this.theme = theme;
+        this.colors = {
+            regions: d3.scaleOrdinal().domain(KNOWN_REGIONS).range(theme.regions),
+            income: d3.scaleOrdinal().domain(KNOWN_INCOME_GROUPS).range(theme.income),
+            hiv: d3.scaleSequential(theme.hiv).domain([0, 5]),
+            sequential: theme.sequential
+        };
+        
+        document.documentElement.dataset.theme = name;
+        const select = document.getElementById('theme-select');
+        if (select) select.value = name;
+        
+        // Text and axes inherit the theme's ink from the <svg>
+        d3.selectAll('.viz-svg')
+            .style('color', theme.ink)
+            .style('fill', theme.ink)
+            .selectAll('*').remove();
+    }
+    
+    // Build a section, scene dot and controls for every scene in the registry
+    buildScenes() {
+        const indicators = document.getElementById('scene-indicators');
+        const root = document.getElementById('scenes');
+        
+        this.scenes.forEach((scene, i) => {
+            const index = i + 1;
+            
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = `scene-dot${index === this.currentScene ? ' active' : ''}`;
+            dot.dataset.scene = index;
+            dot.setAttribute('aria-label', t('scene.dot', { number: index, title: scene.title }));
+            indicators.appendChild(dot);
+            
+            const section = document.createElement('section');
+            section.className = `scene-container${index === this.currentScene ? '' : ' hidden'}`;
+            section.id = `scene-${index}`;
+            section.innerHTML = `
+                <h2 class="scene-title">${scene.title}</h2>
+                <p class="scene-subtitle">${scene.subtitle}</p>
+                <div class="narrative-text">
+                    ${(scene.narrative || []).map(p => `<p>${p}</p>`).join('')}
+                </div>${scene.steps ? `
+                <div class="story-step" id="story-step-${index}">
+                    <span class="story-step-count" id="story-step-count-${index}"></span>
+                    <p class="story-step-text" id="story-step-text-${index}"></p>
+                    <button type="button" class="story-skip" id="story-skip-${index}" data-scene="${index}"></button>
+                </div>` : ''}
+                <div class="viz-container">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        ${scene.loadingText || t('data.loading')}
+                    </div>
+                    ${scene.type ? '' : `
+                    <div class="zoom-controls" role="group" aria-label="${t('zoom.label')}" title="${t('zoom.hint')}">
+                        <button type="button" data-scene="${index}" data-zoom="in" aria-label="${t('zoom.in')}">+</button>
+                        <button type="button" data-scene="${index}" data-zoom="out" aria-label="${t('zoom.out')}">−</button>
+                        <button type="button" data-scene="${index}" data-zoom="selection" id="zoom-selection-${index}">${t('zoom.selection')}</button>
+                        <button type="button" data-scene="${index}" data-zoom="reset" id="zoom-reset-${index}">${t('zoom.reset')}</button>
+                    </div>`}
+                    <svg class="viz-svg" id="viz-${index}" style="display: none;" role="group" 
+                         aria-label="${t('scene.chart', { title: scene.title })}"></svg>
+                    <details class="export-menu">
+                        <summary>${t('export.label')}</summary>
+                        <div class="export-options">
+                            <button type="button" data-scene="${index}" data-format="svg">${t('export.svg')}</button>
+                            <button type="button" data-scene="${index}" data-format="png">${t('export.png')}</button>
+                            <button type="button" data-scene="${index}" data-format="csv">${t('export.csv')}</button>
+                            <button type="button" data-scene="${index}" data-format="json">${t('export.json')}</button>
+                        </div>
+                    </details>
+                </div>
+                <p class="coverage-note" id="coverage-note-${index}"></p>
+                <div class="selection-summary" id="selection-summary-${index}" hidden></div>
+                <table class="data-table visually-hidden" id="data-table-${index}"></table>
+                <div class="controls">
+                    ${(scene.filters || []).map(filter => this.buildControl(filter, index, scene)).join('')}
+                </div>`;
+            root.appendChild(section);
+        });
+        
+        this.updateNavigation();
+    }
+    
+    buildControl(filter, index, scene) {
+        switch (filter.type) {
+            case 'year':
+                return `
+                    <div class="control-group">
+                        <label for="year-slider-${index}">${t('control.label', { label: fieldText('year', 'label') })} <span class="year-display" id="year-display-${index}">2021</span></label>
+                        <input type="range" class="year-slider" id="year-slider-${index}" min="2006" max="2021" value="2021" step="1">
+                    </div>${filter.playback ? `
+                    <div class="control-group playback-controls">
+                        <button type="button" class="play-button" id="play-btn-${index}" data-scene="${index}" aria-pressed="false">${t('control.play')}</button>
+                        <select class="speed-select" id="speed-select-${index}" aria-label="${t('control.speed')}">
+                            ${[0.5, 1, 2].map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${
+                                t('control.speedOption', { speed: d3.format('~g')(speed) })}</option>`).join('')}
+                        </select>
+                        <span class="toggle-option">
+                            <input type="checkbox" class="view-toggle" id="trails-toggle-${index}">
+                            <label for="trails-toggle-${index}">${t('control.trails')}</label>
+                        </span>
+                    </div>` : ''}`;
+            case 'region':
+                return `
+                    <div class="control-group">
+                        <label for="region-select-${index}">${t('control.label', { label: fieldText('region', 'label') })}</label>
+                        <select class="region-select" id="region-select-${index}">
+                            <option value="all">${t('control.allRegions')}</option>
+                        </select>
+                    </div>`;
+            case 'encoding':
+                return Object.entries(ENCODING_CHANNELS).map(([channel, label]) => {
+                    const current = scene[channel] ? scene[channel].field : '';
+                    const fields = channel === 'color' ? ['income_group', 'region', ...NUMERIC_FIELDS] : NUMERIC_FIELDS;
+                    const options = fields.map(field => 
+                        `<option value="${field}"${field === current ? ' selected' : ''}>${fieldLabel(field)}</option>`
+                    );
+                    if (channel === 'size') {
+                        options.unshift(`<option value=""${current ? '' : ' selected'}>${t('control.uniform')}</option>`);
+                    }
+                    return `
+                    <div class="control-group">
+                        <label for="${channel}-field-${index}">${t('control.label', { label: t(`channel.${channel}`, {}, label) })}</label>
+                        <select class="field-select" id="${channel}-field-${index}">
+                            ${options.join('')}
+                        </select>
+                    </div>`;
+                }).join('');
+            case 'trend': {
+                const current = scene.trendLine === true ? 'linear' : (scene.trendLine || 'none');
+                return `
+                    <div class="control-group">
+                        <label for="trend-select-${index}">${t('control.trend')}</label>
+                        <select class="view-select" id="trend-select-${index}">
+                            ${Object.entries(TREND_METHODS).map(([method, name]) => 
+                                `<option value="${method}"${method === current ? ' selected' : ''}>${t(`trend.${method}`, {}, name)}</option>`
+                            ).join('')}
+                        </select>
+                        <span class="toggle-option">
+                            <input type="checkbox" class="view-toggle" id="trend-weighted-${index}">
+                            <label for="trend-weighted-${index}">${t('control.weighted')}</label>
+                        </span>
+                    </div>`;
+            }
+            case 'aggregate':
+                return `
+                    <div class="control-group">
+                        <label for="aggregate-select-${index}">${t('control.group')}</label>
+                        <select class="view-select" id="aggregate-select-${index}">
+                            <option value="">${t('control.countries')}</option>
+                            ${Object.entries(AGGREGATE_GROUPS).map(([field, name]) => 
+                                `<option value="${field}">${t('control.byGroup', { group: t(`group.${field}`, {}, name).toLowerCase() })}</option>`
+                            ).join('')}
+                        </select>
+                        <span class="toggle-option">
+                            <input type="checkbox" class="view-toggle" id="aggregate-countries-${index}" checked>
+                            <label for="aggregate-countries-${index}">${t('control.showCountries')}</label>
+                        </span>
+                    </div>`;
+            case 'impute':
+                return `
+                    <div class="control-group">
+                        <label for="impute-select-${index}">${t('control.impute')}</label>
+                        <select class="view-select" id="impute-select-${index}">
+                            ${Object.entries(IMPUTE_METHODS).map(([method, name]) => 
+                                `<option value="${method}">${t(`impute.${method}`, {}, name)}</option>`
+                            ).join('')}
+                        </select>
+                    </div>`;
+            case 'map':
+                return `
+                    <div class="control-group">
+                        <label for="color-field-${index}">${t('control.indicator')}</label>
+                        <select class="field-select" id="color-field-${index}">
+                            ${NUMERIC_FIELDS.map(field => 
+                                `<option value="${field}"${field === scene.color.field ? ' selected' : ''}>${fieldLabel(field)}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="palette-select-${index}">${t('control.palette')}</label>
+                        <select class="view-select" id="palette-select-${index}">
+                            ${Object.entries(MAP_PALETTES).map(([palette, { name }]) => 
+                                `<option value="${palette}"${palette === scene.color.palette ? ' selected' : ''}>${t(`palette.${palette}`, {}, name)}</option>`
+                            ).join('')}
+                        </select>
+                    </div>`;
+            case 'lines':
+                return `
+                    <div class="control-group">
+                        <label for="y-field-${index}">${t('control.indicator')}</label>
+                        <select class="field-select" id="y-field-${index}">
+                            ${NUMERIC_FIELDS.map(field => 
+                                `<option value="${field}"${field === scene.y.field ? ' selected' : ''}>${fieldLabel(field)}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="group-select-${index}">${t('control.medians')}</label>
+                        <select class="view-select" id="group-select-${index}">
+                            <option value="">${t('lines.allCountries')}</option>
+                            ${Object.entries(AGGREGATE_GROUPS).map(([field, name]) => 
+                                `<option value="${field}"${scene.group && field === scene.group.field ? ' selected' : ''}>${t('control.byGroup', { group: t(`group.${field}`, {}, name).toLowerCase() })}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="facet-select-${index}">${t('control.layout')}</label>
+                        <select class="view-select" id="facet-select-${index}">
+                            <option value="">${t('control.oneChart')}</option>
+                            ${Object.entries(AGGREGATE_GROUPS).map(([field, name]) => 
+                                `<option value="${field}">${t('control.smallMultiples', { group: t(`group.${field}`, {}, name).toLowerCase() })}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="country-add-${index}">${t('control.addCountry')}</label>
+                        <select class="country-add" id="country-add-${index}">
+                            <option value="">${t('control.chooseCountry')}</option>
+                        </select>
+                    </div>`;
+            case 'pairs':
+                return `
+                    <div class="control-group">
+                        <label for="pairs-select-${index}">${t('control.label', { label: filter.label })}</label>
+                        <select class="view-select" id="pairs-select-${index}">
+                            <option value="">${filter.single}</option>
+                            <option value="paired">${filter.paired}</option>
+                        </select>
+                    </div>`;
+            default:
+                return '';
+        }
     }
     
     initializeEventListeners() {
@@ -112,54 +1796,384 @@ class NarrativeVisualization {
         // Scene indicators
         document.querySelectorAll('.scene-dot').forEach(dot => {
             dot.addEventListener('click', (e) => {
-                const scene = parseInt(e.target.dataset.scene);
+                const scene = parseInt(e.currentTarget.dataset.scene);
                 this.goToScene(scene);
             });
         });
         
+        // Theme picker
+        const themeSelect = document.getElementById('theme-select');
+        themeSelect.innerHTML = Object.entries(THEMES)
+            .map(([name, theme]) => `<option value="${name}">${t(`theme.${name}`, {}, theme.name)}</option>`).join('');
+        themeSelect.addEventListener('change', () => {
+            this.applyTheme(themeSelect.value);
+            this.updateUrl();
+            this.renderCurrentScene();
+        });
+        
+        // Language picker. Scenes, controls and the story are built in the page's language,
+        // so the page is reloaded with lang= in its hash (the rest of the state comes along).
+        const languageSelect = document.getElementById('language-select');
+        languageSelect.addEventListener('change', () => {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            params.set('lang', languageSelect.value);
+            history.replaceState(null, '', `#${params}`);
+            window.location.reload();
+        });
+        
         // Filter controls with debouncing for smooth slider animation
         let yearTimeout;
         
-        // Year slider for Scene 1
-        document.getElementById('year-slider-1')?.addEventListener('input', (e) => {
-            document.getElementById('year-display-1').textContent = e.target.value;
-            clearTimeout(yearTimeout);
-            yearTimeout = setTimeout(() => this.renderCurrentScene(), 50);
+        document.querySelectorAll('.year-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                this.stopPlayback(); // Manual scrubbing takes over from playback
+                document.getElementById(slider.id.replace('slider', 'display')).textContent = e.target.value;
+                clearTimeout(yearTimeout);
+                yearTimeout = setTimeout(() => {
+                    this.updateUrl();
+                    this.renderCurrentScene();
+                }, 50);
+            });
+        });
+        
+        document.querySelectorAll('.region-select, .field-select, .view-select, .view-toggle').forEach(select => {
+            select.addEventListener('change', () => {
+                this.updateUrl();
+                this.renderCurrentScene();
+            });
         });
         
-        // Year slider for Scene 2
-        document.getElementById('year-slider-2')?.addEventListener('input', (e) => {
-            document.getElementById('year-display-2').textContent = e.target.value;
-            clearTimeout(yearTimeout);
-            yearTimeout = setTimeout(() => this.renderCurrentScene(), 50);
+        // Picking a country in a lines scene pins it, which draws its line
+        document.querySelectorAll('.country-add').forEach(select => {
+            select.addEventListener('change', () => {
+                if (select.value) this.pinCountry(select.value);
+                select.value = '';
+            });
         });
         
-
+        // Year playback controls
+        document.querySelectorAll('.play-button').forEach(button => {
+            button.addEventListener('click', () => this.togglePlayback(parseInt(button.dataset.scene)));
+        });
         
-        document.getElementById('region-select-1')?.addEventListener('change', () => this.renderCurrentScene());
-        document.getElementById('education-metric')?.addEventListener('change', () => this.renderCurrentScene());
-
-        document.getElementById('success-stories')?.addEventListener('change', () => this.renderCurrentScene());
+        document.querySelectorAll('.speed-select').forEach(select => {
+            select.addEventListener('change', () => {
+                // Restart the running timer at the new speed
+                const scene = this.playback.scene;
+                if (this.playback.timer && `speed-select-${scene}` === select.id) {
+                    this.playback.timer.stop();
+                    this.playback.timer = null;
+                    this.togglePlayback(scene);
+                }
+            });
+        });
+        
+        this.initializeCountrySearch();
+        
+        // Replace the dataset from the file picker or by dropping files anywhere on the page
+        const fileInput = document.getElementById('data-file-input');
+        fileInput?.addEventListener('change', () => {
+            if (fileInput.files.length) this.loadFiles(fileInput.files);
+            fileInput.value = '';
+        });
+        
+        let dragDepth = 0; // dragenter / dragleave fire for every child element crossed
+        document.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+            dragDepth++;
+            document.body.classList.add('drag-active');
+        });
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(dragDepth - 1, 0);
+            if (!dragDepth) document.body.classList.remove('drag-active');
+        });
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            document.body.classList.remove('drag-active');
+            if (e.dataTransfer && e.dataTransfer.files.length) this.loadFiles(e.dataTransfer.files);
+        });
+        
+        // Re-render the visible chart when its container changes size (window resizes, rotation)
+        if (window.ResizeObserver) {
+            let resizeTimeout;
+            const observer = new ResizeObserver(() => {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(() => {
+                    if (this.data && this.measureChart(this.currentScene)) this.renderCurrentScene();
+                }, 150);
+            });
+            document.querySelectorAll('.viz-container').forEach(container => observer.observe(container));
+        }
+        
+        // Export menus
+        document.querySelectorAll('.export-menu [data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                button.closest('details').open = false;
+                this.exportScene(parseInt(button.dataset.scene), button.dataset.format);
+            });
+        });
+        
+        // Story mode: skip to the last step, or replay from the first once it is reached
+        document.querySelectorAll('.story-skip').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.dataset.scene);
+                this.goToStep(index, this.inStory(index) ? this.scenes[index - 1].steps.length : 1);
+            });
+        });
+        
+        // Zoom buttons
+        document.querySelectorAll('.zoom-controls [data-zoom]').forEach(button => {
+            button.addEventListener('click', () => this.zoomScene(parseInt(button.dataset.scene), button.dataset.zoom));
+        });
+        
+        // Country detail panel
+        document.getElementById('detail-close')?.addEventListener('click', () => this.hideCountryDetail());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideCountryDetail();
+        });
+        
+        // Keyboard scene navigation: arrow keys step, number keys jump. Keys typed into form fields
+        // and keys already handled by a chart's data points are left alone.
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || !this.data) return;
+            if (e.target.closest?.('input, select, textarea, [contenteditable]')) return;
+            
+            const number = parseInt(e.key);
+            if (e.key === 'ArrowRight') {
+                this.nextScene();
+            } else if (e.key === 'ArrowLeft') {
+                this.previousScene();
+            } else if (number >= 1 && number <= this.scenes.length && number !== this.currentScene) {
+                this.goToScene(number);
+            }
+        });
+        
+        // Browser back/forward and edited hashes
+        window.addEventListener('popstate', () => {
+            if (!this.data) return;
+            this.goToScene(this.applyUrlState(), { pushHistory: false });
+        });
+    }
+    
+    // Typeahead over this.countries; picking a result pins the country
+    initializeCountrySearch() {
+        const input = document.getElementById('country-search-input');
+        const list = document.getElementById('country-suggestions');
+        if (!input || !list) return;
+        
+        let matches = [];
+        let active = -1;
+        
+        const close = () => {
+            list.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            active = -1;
+        };
+        
+        const highlightActive = () => {
+            list.querySelectorAll('li').forEach((item, i) => item.classList.toggle('active', i === active));
+            if (active >= 0) {
+                input.setAttribute('aria-activedescendant', `country-option-${matches[active].code}`);
+            }
+        };
+        
+        const pick = country => {
+            this.pinCountry(country.code);
+            input.value = '';
+            close();
+        };
+        
+        input.addEventListener('input', () => {
+            const query = input.value.trim().toLowerCase();
+            if (!query) {
+                close();
+                return;
+            }
+            
+            // Names that start with the query first, then codes and other name matches
+            matches = this.countries
+                .filter(c => c.name.toLowerCase().includes(query) || c.code.toLowerCase().startsWith(query))
+                .sort((a, b) => 
+                    (b.name.toLowerCase().startsWith(query) - a.name.toLowerCase().startsWith(query)) ||
+                    (b.code.toLowerCase() === query) - (a.code.toLowerCase() === query)
+                )
+                .slice(0, 8);
+            active = matches.length ? 0 : -1;
+            
+            // Built as text nodes, as names and codes can come from an uploaded file
+            const items = d3.select(list)
+                .selectAll('li')
+                .data(matches.length ? matches : [null])
+                .join('li')
+                .attr('role', c => c ? 'option' : null)
+                .attr('id', c => c ? `country-option-${c.code}` : null)
+                .attr('data-code', c => c ? c.code : null)
+                .attr('class', c => c ? null : 'no-match')
+                .text(c => c ? `${c.name} ` : t('search.noMatch'));
+            items.filter(c => c)
+                .append('span')
+                .attr('class', 'country-code')
+                .text(c => c.code);
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            highlightActive();
+        });
+        
+        input.addEventListener('keydown', (e) => {
+            if (list.hidden || !matches.length) return;
+            
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                active = (active + step + matches.length) % matches.length;
+                highlightActive();
+            } else if (e.key === 'Enter' && active >= 0) {
+                e.preventDefault();
+                pick(matches[active]);
+            } else if (e.key === 'Escape') {
+                close();
+            }
+        });
+        
+        // mousedown fires before the input loses focus
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('li[data-code]');
+            if (!item) return;
+            e.preventDefault();
+            pick(matches.find(c => c.code === item.dataset.code));
+        });
+        
+        input.addEventListener('blur', close);
+        
+        document.getElementById('pinned-countries')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unpin]');
+            if (button) this.unpinCountry(button.dataset.unpin);
+        });
+    }
+    
+    pinCountry(code) {
+        this.pinnedCountries.add(code);
+        this.onPinnedChange();
+    }
+    
+    unpinCountry(code) {
+        this.pinnedCountries.delete(code);
+        this.onPinnedChange();
+    }
+    
+    onPinnedChange() {
+        this.renderPinnedCountries();
+        this.updateUrl();
+        this.renderCurrentScene();
     }
     
+    renderPinnedCountries() {
+        const container = document.getElementById('pinned-countries');
+        if (!container) return;
+        
+        const names = new Map(this.countries.map(c => [c.code, c.name]));
+        const name = code => names.get(code) || code;
+        const chips = d3.select(container)
+            .selectAll('.pinned-chip')
+            .data([...this.pinnedCountries])
+            .join(enter => enter.append('span').attr('class', 'pinned-chip'))
+            .attr('data-code', code => code)
+            .text(code => `${name(code)} `);
+        chips.append('button')
+            .attr('type', 'button')
+            .attr('data-unpin', code => code)
+            .attr('aria-label', code => t('search.unpin', { name: name(code) }))
+            .text('×');
+    }
+    
+    // Previous and Next step through a scene's story before moving between scenes
     previousScene() {
-        if (this.currentScene > 1) {
+        const step = this.storySteps[this.currentScene];
+        if (this.inStory(this.currentScene) && step > 1) {
+            this.goToStep(this.currentScene, step - 1);
+        } else if (this.currentScene > 1) {
             this.goToScene(this.currentScene - 1);
         }
     }
     
     nextScene() {
-        if (this.currentScene < 3) {
+        if (this.inStory(this.currentScene)) {
+            this.goToStep(this.currentScene, this.storySteps[this.currentScene] + 1);
+        } else if (this.currentScene < this.scenes.length) {
             this.goToScene(this.currentScene + 1);
         }
     }
     
-    goToScene(sceneNumber) {
+    // Whether a scene's story is still being told, i.e. it has steps and isn't on the last one
+    inStory(index) {
+        const steps = this.scenes[index - 1].steps;
+        return !!steps && this.storySteps[index] < steps.length;
+    }
+    
+    goToStep(index, number) {
+        this.stopPlayback();
+        this.storySteps[index] = number;
+        this.applyStoryStep(index, { reset: true });
+        this.updateNavigation();
+        this.updateUrl();
+        
+        const steps = this.scenes[index - 1].steps;
+        this.announce(t('story.announce', { number, total: steps.length, text: steps[number - 1].text }));
+        this.renderCurrentScene();
+    }
+    
+    // Show a scene's story step. With reset, the step's controls are applied on top of the defaults
+    // and the scene's legend and zoom are cleared, so stepping back undoes what later steps changed.
+    applyStoryStep(index, { reset = false } = {}) {
+        const steps = this.scenes[index - 1].steps;
+        if (!steps) {
+            this.highlighted = new Set();
+            return;
+        }
+        
+        const number = this.storySteps[index] || 1;
+        const step = steps[number - 1];
+        const controls = step.controls || {};
+        this.storySteps[index] = number;
+        this.highlighted = new Set(step.highlight || []);
+        
+        if (reset) {
+            document.querySelectorAll(`#scene-${index} .controls`).forEach(container => {
+                container.querySelectorAll(URL_CONTROLS).forEach(control => {
+                    const name = control.id.replace(`-${index}`, '');
+                    this.setControlValue(control, Object.hasOwn(controls, name) ? controls[name] : control.dataset.default);
+                });
+            });
+            delete this.legendState[index];
+            this.resetZoom(index);
+        }
+        
+        // Filters, legend, brush and zoom stay locked until the last step
+        const exploring = number === steps.length;
+        const section = document.getElementById(`scene-${index}`);
+        section.classList.toggle('story-active', !exploring);
+        section.querySelector('.controls').inert = !exploring;
+        const zoomControls = section.querySelector('.zoom-controls');
+        if (zoomControls) zoomControls.inert = !exploring;
+        
+        document.getElementById(`story-step-count-${index}`).textContent = 
+            t(exploring ? 'story.lastStep' : 'story.step', { number, total: steps.length });
+        document.getElementById(`story-step-text-${index}`).textContent = step.text;
+        document.getElementById(`story-skip-${index}`).textContent = t(exploring ? 'story.replay' : 'story.skip');
+    }
+    
+    goToScene(sceneNumber, { pushHistory = true } = {}) {
+        this.stopPlayback();
+        
         // Hide current scene
         document.querySelector(`#scene-${this.currentScene}`).classList.add('hidden');
         
         // Update state
         this.currentScene = sceneNumber;
+        this.applyStoryStep(sceneNumber, { reset: this.inStory(sceneNumber) });
         
         // Show new scene
         document.querySelector(`#scene-${this.currentScene}`).classList.remove('hidden');
@@ -167,608 +2181,1983 @@ class NarrativeVisualization {
         // Update navigation state
         this.updateNavigation();
         
+        // Keep the URL in step with the visible scene
+        this.updateUrl({ push: pushHistory });
+        
+        this.announce(t('scene.announce', { number: sceneNumber, total: this.scenes.length, title: this.scenes[sceneNumber - 1].title }));
+        
         // Render the scene
         this.renderCurrentScene();
     }
     
     updateNavigation() {
         // Update buttons
-        document.getElementById('prev-btn').disabled = this.currentScene === 1;
-        document.getElementById('next-btn').disabled = this.currentScene === 3;
+        const storyStep = this.inStory(this.currentScene) ? this.storySteps[this.currentScene] : null;
+        document.getElementById('prev-btn').disabled = this.currentScene === 1 && !(storyStep > 1);
+        document.getElementById('next-btn').disabled = this.currentScene === this.scenes.length && !storyStep;
+        document.getElementById('next-btn').textContent = t(storyStep ? 'nav.nextStep' : 'nav.next');
         
         // Update scene indicators
         document.querySelectorAll('.scene-dot').forEach((dot, index) => {
             dot.classList.toggle('active', index + 1 === this.currentScene);
+            dot.toggleAttribute('aria-current', index + 1 === this.currentScene);
         });
     }
     
     renderCurrentScene() {
         if (!this.data) return;
         
-        switch (this.currentScene) {
-            case 1:
-                this.renderScene1();
-                break;
-            case 2:
-                this.renderScene2();
-                break;
-            case 3:
-                this.renderScene3();
-                break;
+        const scene = this.scenes[this.currentScene - 1];
+        if (scene.type === 'map') {
+            this.renderMap(scene, this.currentScene);
+        } else if (scene.type === 'lines') {
+            this.renderLines(scene, this.currentScene);
+        } else {
+            this.renderScene(scene, this.currentScene);
         }
     }
     
     filterData(filters = {}) {
-        let filtered = [...this.data];
+        let filtered = filters.impute && filters.impute !== 'none' ? this.imputeData(filters.impute) : [...this.data];
         
         // Apply filters
         if (filters.year) {
             filtered = filtered.filter(d => d.year === parseInt(filters.year));
         }
         
+        // Region and income group take one value, or a list of the values to keep
         if (filters.region && filters.region !== 'all') {
-            filtered = filtered.filter(d => d.region === filters.region);
+            const regions = [].concat(filters.region);
+            filtered = filtered.filter(d => regions.includes(d.region));
+        }
+        
+        if (filters.income && filters.income !== 'all') {
+            const incomeGroups = [].concat(filters.income);
+            filtered = filtered.filter(d => incomeGroups.includes(d.income_group));
+        }
+        
+        if (filters.since) {
+            filtered = filtered.filter(d => d.year >= filters.since);
+        }
+        
+        return filtered;
+    }
+    
+    // Records with neither income nor life expectancy are left out of every chart. Scenes list this
+    // with their own requirements, so their coverage note counts the countries it leaves out.
+    basicDataRequirement() {
+        return {
+            name: ['income_per_capita', 'life_expectancy'].map(field => fieldText(field, 'name')).join(t('coverage.and')),
+            met: d => d.income_per_capita !== null || d.life_expectancy !== null
+        };
+    }
+    
+    // Copy of this.data with gaps in each country's yearly series filled: 'carry' repeats the last
+    // observed value, 'linear' interpolates between the observations on either side (no extrapolation).
+    // Runs of more than IMPUTE_MAX_GAP missing years are left empty. Each filled record lists the
+    // fields it filled in `imputed`.
+    imputeData(method) {
+        if (this.imputedData[method]) return this.imputedData[method];
+        
+        this.imputedData[method] = d3.groups(this.data, d => d.country_code).flatMap(([, records]) => {
+            const series = records.map(d => ({ ...d })).sort((a, b) => a.year - b.year);
+            
+            NUMERIC_FIELDS.forEach(field => {
+                const observed = series.filter(d => d[field] !== null && d[field] !== undefined);
+                
+                series.forEach(d => {
+                    if (d[field] !== null && d[field] !== undefined) return;
+                    
+                    const previous = d3.greatest(observed.filter(o => o.year < d.year), o => o.year);
+                    if (!previous || d.year - previous.year > IMPUTE_MAX_GAP) return;
+                    
+                    let value = previous[field];
+                    if (method === 'linear') {
+                        const next = d3.least(observed.filter(o => o.year > d.year), o => o.year);
+                        if (!next || next.year - previous.year - 1 > IMPUTE_MAX_GAP) return;
+                        value += (next[field] - previous[field]) * (d.year - previous.year) / (next.year - previous.year);
+                    }
+                    
+                    d[field] = value;
+                    d.imputed = [...(d.imputed || []), field];
+                });
+            });
+            return series;
+        });
+        return this.imputedData[method];
+    }
+    
+    // Roll records up into one record per group and year: population-weighted means,
+    // or sums for count fields. `countries` and `counts` record how many countries
+    // contributed overall and to each field.
+    aggregateData(data, groupField) {
+        return d3.groups(data, d => d[groupField], d => d.year).flatMap(([group, years]) => 
+            years.map(([year, records]) => {
+                const aggregate = {
+                    country_name: categoryName(group),
+                    country_code: `${groupField}:${group}`,
+                    [groupField]: group,
+                    year,
+                    countries: records.length,
+                    counts: {}
+                };
+                
+                NUMERIC_FIELDS.forEach(field => {
+                    const valid = records.filter(d => d[field] !== null && d[field] !== undefined && d.total_population > 0);
+                    const population = d3.sum(valid, d => d.total_population);
+                    aggregate.counts[field] = valid.length;
+                    if (!valid.length) {
+                        aggregate[field] = null;
+                    } else if (FIELDS[field].total) {
+                        aggregate[field] = d3.sum(valid, d => d[field]);
+                    } else {
+                        aggregate[field] = d3.sum(valid, d => d[field] * d.total_population) / population;
+                    }
+                });
+                return aggregate;
+            })
+        );
+    }
+    
+    hideLoading(sceneId) {
+        const scene = document.getElementById(sceneId);
+        const loading = scene.querySelector('.loading');
+        const viz = scene.querySelector('.viz-svg');
+        
+        loading.style.display = 'none';
+        viz.style.display = 'block';
+    }
+    
+    showError(message) {
+        console.error(message);
+        this.setDataStatus(message, true);
+    }
+    
+    // Embedded data fallback for CORS issues
+    getEmbeddedData() {
+        // Sample dataset for demonstration when CORS blocks external file access
+        return [
+            {"country_name": "United States", "country_code": "USA", "year": 2021, "region": "North America", "income_group": "High income", "income_per_capita": 63593, "hiv_incidence_rate": 0.38, "adult_literacy_rate": 99, "life_expectancy": 78.86, "total_population": 331893745, "condom_use_average": 61},
+            {"country_name": "Germany", "country_code": "DEU", "year": 2021, "region": "Europe & Central Asia", "income_group": "High income", "income_per_capita": 46208, "hiv_incidence_rate": 0.12, "adult_literacy_rate": 99, "life_expectancy": 81.33, "total_population": 83129285, "condom_use_average": 65},
+            {"country_name": "South Africa", "country_code": "ZAF", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 6374, "hiv_incidence_rate": 7.7, "adult_literacy_rate": 87, "life_expectancy": 64.13, "total_population": 59392255, "condom_use_average": 45},
+            {"country_name": "Brazil", "country_code": "BRA", "year": 2021, "region": "Latin America & Caribbean", "income_group": "Upper middle income", "income_per_capita": 7507, "hiv_incidence_rate": 0.41, "adult_literacy_rate": 93, "life_expectancy": 75.88, "total_population": 213993437, "condom_use_average": 55},
+            {"country_name": "India", "country_code": "IND", "year": 2021, "region": "South Asia", "income_group": "Lower middle income", "income_per_capita": 1947, "hiv_incidence_rate": 0.07, "adult_literacy_rate": 74, "life_expectancy": 69.66, "total_population": 1380004385, "condom_use_average": 32},
+            {"country_name": "China", "country_code": "CHN", "year": 2021, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 10500, "hiv_incidence_rate": 0.03, "adult_literacy_rate": 97, "life_expectancy": 78.21, "total_population": 1412360000, "condom_use_average": 48},
+            {"country_name": "Nigeria", "country_code": "NGA", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Lower middle income", "income_per_capita": 2097, "hiv_incidence_rate": 0.52, "adult_literacy_rate": 62, "life_expectancy": 54.69, "total_population": 218541212, "condom_use_average": 28},
+            {"country_name": "Thailand", "country_code": "THA", "year": 2021, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 7189, "hiv_incidence_rate": 0.06, "adult_literacy_rate": 93, "life_expectancy": 77.15, "total_population": 69950850, "condom_use_average": 72},
+            {"country_name": "Kenya", "country_code": "KEN", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Lower middle income", "income_per_capita": 1816, "hiv_incidence_rate": 1.4, "adult_literacy_rate": 82, "life_expectancy": 66.7, "total_population": 54027487, "condom_use_average": 58},
+            {"country_name": "Rwanda", "country_code": "RWA", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 822, "hiv_incidence_rate": 0.26, "adult_literacy_rate": 73, "life_expectancy": 69.0, "total_population": 13276513, "condom_use_average": 54},
+            
+            // Add more years for some countries to show time series
+            {"country_name": "United States", "country_code": "USA", "year": 2015, "region": "North America", "income_group": "High income", "income_per_capita": 56863, "hiv_incidence_rate": 0.42, "adult_literacy_rate": 99, "life_expectancy": 78.69, "total_population": 321418820, "condom_use_average": 58},
+            {"country_name": "South Africa", "country_code": "ZAF", "year": 2015, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 5724, "hiv_incidence_rate": 10.2, "adult_literacy_rate": 85, "life_expectancy": 62.77, "total_population": 55386367, "condom_use_average": 42},
+            {"country_name": "Thailand", "country_code": "THA", "year": 2015, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 5970, "hiv_incidence_rate": 0.09, "adult_literacy_rate": 93, "life_expectancy": 76.43, "total_population": 68863514, "condom_use_average": 68},
+            {"country_name": "Rwanda", "country_code": "RWA", "year": 2015, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 697, "hiv_incidence_rate": 0.35, "adult_literacy_rate": 68, "life_expectancy": 66.1, "total_population": 11917508, "condom_use_average": 48},
+            
+            // Add 2010 data points
+            {"country_name": "United States", "country_code": "USA", "year": 2010, "region": "North America", "income_group": "High income", "income_per_capita": 48374, "hiv_incidence_rate": 0.48, "adult_literacy_rate": 99, "life_expectancy": 78.54, "total_population": 309321666, "condom_use_average": 54},
+            {"country_name": "South Africa", "country_code": "ZAF", "year": 2010, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 7275, "hiv_incidence_rate": 15.1, "adult_literacy_rate": 82, "life_expectancy": 58.09, "total_population": 51216964, "condom_use_average": 38},
+            {"country_name": "Thailand", "country_code": "THA", "year": 2010, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 5112, "hiv_incidence_rate": 0.15, "adult_literacy_rate": 92, "life_expectancy": 75.24, "total_population": 66402316, "condom_use_average": 62},
+            {"country_name": "Rwanda", "country_code": "RWA", "year": 2010, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 594, "hiv_incidence_rate": 0.68, "adult_literacy_rate": 63, "life_expectancy": 62.3, "total_population": 10412820, "condom_use_average": 35}
+        ];
+    }
+    
+    // Read the current control values for a scene
+    getSceneFilters(scene, index) {
+        const filters = { 
+            since: scene.since, 
+            fields: {},
+            trend: { method: scene.trendLine === true ? 'linear' : (scene.trendLine || 'none'), weighted: false },
+            aggregate: { field: null, countries: true },
+            impute: 'none'
+        };
+        
+        (scene.filters || []).forEach(filter => {
+            if (filter.type === 'year') {
+                filters.year = document.getElementById(`year-slider-${index}`)?.value || '2021';
+            } else if (filter.type === 'region') {
+                filters.region = document.getElementById(`region-select-${index}`)?.value || 'all';
+            } else if (filter.type === 'encoding') {
+                Object.keys(ENCODING_CHANNELS).forEach(channel => {
+                    const select = document.getElementById(`${channel}-field-${index}`);
+                    if (select) filters.fields[channel] = select.value;
+                });
+            } else if (filter.type === 'trend') {
+                filters.trend = {
+                    method: document.getElementById(`trend-select-${index}`)?.value || filters.trend.method,
+                    weighted: !!document.getElementById(`trend-weighted-${index}`)?.checked
+                };
+            } else if (filter.type === 'aggregate') {
+                filters.aggregate = {
+                    field: document.getElementById(`aggregate-select-${index}`)?.value || null,
+                    countries: !!document.getElementById(`aggregate-countries-${index}`)?.checked
+                };
+            } else if (filter.type === 'impute') {
+                filters.impute = document.getElementById(`impute-select-${index}`)?.value || 'none';
+            } else if (filter.type === 'map') {
+                filters.fields.color = document.getElementById(`color-field-${index}`)?.value || scene.color.field;
+                filters.palette = document.getElementById(`palette-select-${index}`)?.value || scene.color.palette;
+            } else if (filter.type === 'lines') {
+                filters.fields.y = document.getElementById(`y-field-${index}`)?.value || scene.y.field;
+                filters.group = document.getElementById(`group-select-${index}`)?.value ?? (scene.group ? scene.group.field : '');
+                filters.facet = document.getElementById(`facet-select-${index}`)?.value || '';
+            } else if (filter.type === 'pairs') {
+                filters.pairs = document.getElementById(`pairs-select-${index}`)?.value === 'paired'
+                    ? { ...filter, fields: filter.fields.map((p, i) => ({ ...p, color: this.theme.pairs[i] })) }
+                    : null;
+            }
+        });
+        
+        return filters;
+    }
+    
+    // Scene config channels with any field picked in the controls applied.
+    // A channel whose field was cleared (e.g. uniform bubble size) is left out.
+    resolveEncoding(scene, filters) {
+        const encoding = {};
+        Object.keys(ENCODING_CHANNELS).forEach(channel => {
+            const base = scene[channel] || {};
+            const field = channel in filters.fields ? filters.fields[channel] : base.field;
+            if (!field) return;
+            
+            // Scene-specific axis settings only apply to the field the scene was written for
+            const own = field === base.field ? base : { range: base.range };
+            const { scale, min, tickValues, rotateTicks } = FIELDS[field];
+            encoding[channel] = { scale, min, tickValues, rotateTicks, ...own, field };
+        });
+        return encoding;
+    }
+    
+    // Color accessor for categorical (income group, region) or numeric fields
+    buildColorScale(field, data) {
+        if (field === 'region') return d => this.colors.regions(d.region);
+        if (FIELDS[field].categorical) return d => this.colors.income(d[field]);
+        
+        const scale = d3.scaleSequential(this.colors.sequential)
+            .domain(d3.extent(data, d => d[field]));
+        const color = d => (d[field] === null || d[field] === undefined) ? this.theme.missing : scale(d[field]);
+        color.scale = scale;
+        return color;
+    }
+    
+    buildScale(axis, data, range) {
+        const values = data.map(d => d[axis.field]);
+        
+        switch (axis.scale) {
+            case 'log':
+                return d3.scaleLog()
+                    .domain([Math.max(d3.min(values), axis.min || 1), d3.max(values)])
+                    .range(range)
+                    .clamp(true);
+            case 'sqrt':
+                return d3.scaleSqrt()
+                    .domain([0, d3.max(values) * 1.1])
+                    .range(range);
+            default:
+                return d3.scaleLinear()
+                    .domain(d3.extent(values))
+                    .range(range);
+        }
+    }
+    
+    // Fit the chart to its container: pick the margins, set this.width / this.height and the SVG's
+    // viewBox. Returns true when the plot area changed size.
+    measureChart(index) {
+        const container = document.querySelector(`#scene-${index} .viz-container`);
+        const outerWidth = (container && container.clientWidth) || 1100;
+        const outerHeight = (container && container.clientHeight) || 500;
+        
+        this.margin = outerWidth < 600 ? this.margins.compact : this.margins.regular;
+        const width = outerWidth - this.margin.left - this.margin.right;
+        const height = outerHeight - this.margin.top - this.margin.bottom;
+        const changed = width !== this.width || height !== this.height;
+        this.width = width;
+        this.height = height;
+        
+        const svg = d3.select(`#viz-${index}`)
+            .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`);
+        svg.select('g.chart')
+            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+        return changed;
+    }
+    
+    // Radius multiplier for bubbles, relative to the 940px-wide plot area they were designed for
+    radiusFactor() {
+        return Math.min(Math.max(this.width / 940, 0.5), 1.5);
+    }
+    
+    // Roughly one tick per `spacing` pixels along an axis of `length` pixels
+    tickCount(length, spacing = 80) {
+        return Math.max(2, Math.floor(length / spacing));
+    }
+    
+    // Create the persistent chart layers (CHART_LAYERS, bottom to top) the first time a scene is drawn,
+    // so later renders can transition existing elements instead of rebuilding them
+    getChartLayers(svgId) {
+        const svg = d3.select(`#${svgId}`);
+        let container = svg.select('g.chart');
+        
+        if (container.empty()) {
+            // Plot area clip for zoomed charts
+            svg.append('defs')
+                .append('clipPath')
+                .attr('id', `${svgId}-clip`)
+                .append('rect');
+            
+            container = svg.append('g')
+                .attr('class', 'chart')
+                .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+            CHART_LAYERS.forEach(name => {
+                container.append('g').attr('class', `layer-${name}`);
+            });
+        }
+        
+        const layers = { container, clip: svg.select(`#${svgId}-clip rect`) };
+        CHART_LAYERS.forEach(name => {
+            layers[name] = container.select(`.layer-${name}`);
+        });
+        return layers;
+    }
+    
+    // Zoom and pan for a scatter chart: the wheel or a pinch zooms, and Shift-drag or a two-finger drag pans,
+    // while a plain drag (or one finger) is left to the brush. The transform is kept on the chart group
+    // (d3.zoomTransform) and goes back to identity when `key`, the fields and scales on the axes, changes.
+    // Returns the transform.
+    updateZoom(index, layers, key) {
+        const chart = layers.container;
+        if (!this.zooms[index]) {
+            this.zooms[index] = d3.zoom()
+                .scaleExtent([1, 50])
+                .filter(event => !this.inStory(index) && 
+                    (event.type === 'wheel' || (event.type === 'mousedown' && event.shiftKey && !event.button) || 
+                    (event.type === 'touchstart' && event.touches.length > 1)))
+                .on('zoom', () => {
+                    // Redraw at most once per frame, without transitions (a reset is redrawn by its caller)
+                    if (this.zoomFrame || this.resettingZoom) return;
+                    this.zoomFrame = requestAnimationFrame(() => {
+                        this.zoomFrame = null;
+                        this.zooming = true;
+                        this.renderCurrentScene();
+                        this.zooming = false;
+                    });
+                });
+        }
+        
+        // A chart group drawn from scratch (e.g. after a theme change) needs the behavior bound again
+        if (!chart.property('zoomBound')) {
+            chart.call(this.zooms[index]).property('zoomBound', true);
         }
         
-        if (filters.income && filters.income !== 'all') {
-            filtered = filtered.filter(d => d.income_group === filters.income);
+        const extent = [[0, 0], [this.width, this.height]];
+        this.zooms[index].extent(extent).translateExtent(extent);
+        if (chart.property('zoomKey') !== key) {
+            chart.property('zoomKey', key);
+            this.resetZoom(index);
         }
         
-        // Remove records with missing key data
-        filtered = filtered.filter(d => {
-            const hasBasicData = d.income_per_capita !== null || d.life_expectancy !== null;
-            return hasBasicData;
+        const transform = d3.zoomTransform(chart.node());
+        const zoomed = transform.k !== 1 || transform.x !== 0 || transform.y !== 0;
+        
+        // Clip the data to the plot area only while zoomed, so labels can overhang it otherwise
+        layers.clip.attr('width', this.width).attr('height', this.height);
+        ['trails', 'trend', 'points', 'pairs', 'aggregates', 'labels'].forEach(name => {
+            layers[name].attr('clip-path', zoomed ? `url(#viz-${index}-clip)` : null);
         });
         
-        return filtered;
+        const selected = (this.plotted[index] || []).some(d => this.selectedCountries.has(d.country_code));
+        d3.select(`#zoom-reset-${index}`).property('disabled', !zoomed);
+        d3.select(`#zoom-selection-${index}`).property('disabled', !selected);
+        return transform;
     }
     
-    hideLoading(sceneId) {
-        const scene = document.getElementById(sceneId);
-        const loading = scene.querySelector('.loading');
-        const viz = scene.querySelector('.viz-svg');
+    // Back to the full view without redrawing; the caller renders the scene next
+    resetZoom(index) {
+        const zoom = this.zooms[index];
+        const chart = d3.select(`#viz-${index} g.chart`);
+        if (!zoom || chart.empty()) return;
         
-        loading.style.display = 'none';
-        viz.style.display = 'block';
-    }
-    
-    showError(message) {
-        console.error(message);
-        // You could add a more sophisticated error display here
+        this.resettingZoom = true;
+        chart.call(zoom.transform, d3.zoomIdentity);
+        this.resettingZoom = false;
     }
     
-    // Embedded data fallback for CORS issues
-    getEmbeddedData() {
-        // Sample dataset for demonstration when CORS blocks external file access
-        return [
-            {"country_name": "United States", "country_code": "USA", "year": 2021, "region": "North America", "income_group": "High income", "income_per_capita": 63593, "hiv_incidence_rate": 0.38, "adult_literacy_rate": 99, "life_expectancy": 78.86, "total_population": 331893745, "condom_use_average": 61},
-            {"country_name": "Germany", "country_code": "DEU", "year": 2021, "region": "Europe & Central Asia", "income_group": "High income", "income_per_capita": 46208, "hiv_incidence_rate": 0.12, "adult_literacy_rate": 99, "life_expectancy": 81.33, "total_population": 83129285, "condom_use_average": 65},
-            {"country_name": "South Africa", "country_code": "ZAF", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 6374, "hiv_incidence_rate": 7.7, "adult_literacy_rate": 87, "life_expectancy": 64.13, "total_population": 59392255, "condom_use_average": 45},
-            {"country_name": "Brazil", "country_code": "BRA", "year": 2021, "region": "Latin America & Caribbean", "income_group": "Upper middle income", "income_per_capita": 7507, "hiv_incidence_rate": 0.41, "adult_literacy_rate": 93, "life_expectancy": 75.88, "total_population": 213993437, "condom_use_average": 55},
-            {"country_name": "India", "country_code": "IND", "year": 2021, "region": "South Asia", "income_group": "Lower middle income", "income_per_capita": 1947, "hiv_incidence_rate": 0.07, "adult_literacy_rate": 74, "life_expectancy": 69.66, "total_population": 1380004385, "condom_use_average": 32},
-            {"country_name": "China", "country_code": "CHN", "year": 2021, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 10500, "hiv_incidence_rate": 0.03, "adult_literacy_rate": 97, "life_expectancy": 78.21, "total_population": 1412360000, "condom_use_average": 48},
-            {"country_name": "Nigeria", "country_code": "NGA", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Lower middle income", "income_per_capita": 2097, "hiv_incidence_rate": 0.52, "adult_literacy_rate": 62, "life_expectancy": 54.69, "total_population": 218541212, "condom_use_average": 28},
-            {"country_name": "Thailand", "country_code": "THA", "year": 2021, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 7189, "hiv_incidence_rate": 0.06, "adult_literacy_rate": 93, "life_expectancy": 77.15, "total_population": 69950850, "condom_use_average": 72},
-            {"country_name": "Kenya", "country_code": "KEN", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Lower middle income", "income_per_capita": 1816, "hiv_incidence_rate": 1.4, "adult_literacy_rate": 82, "life_expectancy": 66.7, "total_population": 54027487, "condom_use_average": 58},
-            {"country_name": "Rwanda", "country_code": "RWA", "year": 2021, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 822, "hiv_incidence_rate": 0.26, "adult_literacy_rate": 73, "life_expectancy": 69.0, "total_population": 13276513, "condom_use_average": 54},
-            
-            // Add more years for some countries to show time series
-            {"country_name": "United States", "country_code": "USA", "year": 2015, "region": "North America", "income_group": "High income", "income_per_capita": 56863, "hiv_incidence_rate": 0.42, "adult_literacy_rate": 99, "life_expectancy": 78.69, "total_population": 321418820, "condom_use_average": 58},
-            {"country_name": "South Africa", "country_code": "ZAF", "year": 2015, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 5724, "hiv_incidence_rate": 10.2, "adult_literacy_rate": 85, "life_expectancy": 62.77, "total_population": 55386367, "condom_use_average": 42},
-            {"country_name": "Thailand", "country_code": "THA", "year": 2015, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 5970, "hiv_incidence_rate": 0.09, "adult_literacy_rate": 93, "life_expectancy": 76.43, "total_population": 68863514, "condom_use_average": 68},
-            {"country_name": "Rwanda", "country_code": "RWA", "year": 2015, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 697, "hiv_incidence_rate": 0.35, "adult_literacy_rate": 68, "life_expectancy": 66.1, "total_population": 11917508, "condom_use_average": 48},
+    // Zoom buttons: 'in', 'out', 'reset', or 'selection' to fit the brushed countries in the chart
+    zoomScene(index, action) {
+        const zoom = this.zooms[index];
+        if (!zoom || this.inStory(index)) return;
+        
+        const transition = d3.select(`#viz-${index} g.chart`).transition().duration(this.transitionDuration);
+        if (action === 'in' || action === 'out') {
+            zoom.scaleBy(transition, action === 'in' ? 2 : 0.5);
+        } else if (action === 'reset') {
+            zoom.transform(transition, d3.zoomIdentity);
+        } else if (action === 'selection') {
+            const points = (this.plotted[index] || [])
+                .filter(d => this.selectedCountries.has(d.country_code))
+                .flatMap(this.zoomBase[index]);
+            if (!points.length) return;
             
-            // Add 2010 data points
-            {"country_name": "United States", "country_code": "USA", "year": 2010, "region": "North America", "income_group": "High income", "income_per_capita": 48374, "hiv_incidence_rate": 0.48, "adult_literacy_rate": 99, "life_expectancy": 78.54, "total_population": 309321666, "condom_use_average": 54},
-            {"country_name": "South Africa", "country_code": "ZAF", "year": 2010, "region": "Sub-Saharan Africa", "income_group": "Upper middle income", "income_per_capita": 7275, "hiv_incidence_rate": 15.1, "adult_literacy_rate": 82, "life_expectancy": 58.09, "total_population": 51216964, "condom_use_average": 38},
-            {"country_name": "Thailand", "country_code": "THA", "year": 2010, "region": "East Asia & Pacific", "income_group": "Upper middle income", "income_per_capita": 5112, "hiv_incidence_rate": 0.15, "adult_literacy_rate": 92, "life_expectancy": 75.24, "total_population": 66402316, "condom_use_average": 62},
-            {"country_name": "Rwanda", "country_code": "RWA", "year": 2010, "region": "Sub-Saharan Africa", "income_group": "Low income", "income_per_capita": 594, "hiv_incidence_rate": 0.68, "adult_literacy_rate": 63, "life_expectancy": 62.3, "total_population": 10412820, "condom_use_average": 35}
-        ];
+            // Fit the points' bounding box with some padding, centred
+            const [x0, x1] = d3.extent(points, p => p[0]);
+            const [y0, y1] = d3.extent(points, p => p[1]);
+            const padding = 40;
+            const k = Math.min(this.width / (x1 - x0 + 2 * padding), this.height / (y1 - y0 + 2 * padding));
+            zoom.transform(transition, d3.zoomIdentity
+                .translate(this.width / 2, this.height / 2)
+                .scale(Math.min(Math.max(k, 1), 50))
+                .translate(-(x0 + x1) / 2, -(y0 + y1) / 2));
+        }
     }
     
-            // Scene 1: Global Landscape - Income vs HIV Incidence
-    renderScene1() {
-        const sceneId = 'scene-1';
-        const svgId = 'viz-1';
+    // Render any scene from its registry config
+    renderScene(scene, index) {
+        const sceneId = `scene-${index}`;
+        const svgId = `viz-${index}`;
         
         this.hideLoading(sceneId);
+        this.measureChart(index);
         
-        // Get filter values
-        const year = document.getElementById('year-slider-1')?.value || '2021';
-        const region = document.getElementById('region-select-1')?.value || 'all';
+        // Get filter values and the fields they select
+        const filters = this.getSceneFilters(scene, index);
+        const encoding = this.resolveEncoding(scene, filters);
         
-        // Filter data
-        const data = this.filterData({ year, region });
+        // Paired mode plots two fields per record (e.g. female and male) on a shared y axis
+        const pairs = filters.pairs;
+        if (pairs) {
+            encoding.y = { ...encoding.y, field: pairs.fields[0].field, scale: 'linear', label: pairs.axisLabel };
+        }
+        document.getElementById(`y-field-${index}`)?.toggleAttribute('disabled', !!pairs);
         
-        // Remove previous visualization
-        d3.select(`#${svgId}`).selectAll('*').remove();
+        // Aggregate mode draws one bubble per region or income group, with countries faded behind
+        // or hidden (not available in paired mode)
+        const groupField = pairs ? null : filters.aggregate.field;
+        const showCountries = !groupField || filters.aggregate.countries;
+        document.getElementById(`aggregate-select-${index}`)?.toggleAttribute('disabled', !!pairs);
         
-        const svg = d3.select(`#${svgId}`);
-        const container = svg.append('g')
-            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+        const xField = encoding.x.field;
+        const yField = encoding.y.field;
+        const sizeField = encoding.size ? encoding.size.field : null;
+        // Categorical colors follow the grouping so countries match their aggregate bubble
+        const pickedColor = encoding.color ? encoding.color.field : 'income_group';
+        const colorField = groupField && FIELDS[pickedColor].categorical ? groupField : pickedColor;
+        const showTrails = filters.year && showCountries && document.getElementById(`trails-toggle-${index}`)?.checked;
         
-        // Filter for valid data
-        const validData = data.filter(d => 
-            d.income_per_capita !== null && 
-            d.hiv_incidence_rate !== null && 
-            d.hiv_incidence_rate >= 0
-        );
+        // Income groups or regions switched off in the color legend are left out of the data
+        const hidden = !pairs && FIELDS[colorField].categorical ? this.legendHidden(index, colorField) : new Set();
+        if (hidden.size) {
+            const keep = values => values.filter(value => !hidden.has(value));
+            if (colorField === 'income_group') filters.income = keep(this.incomeGroups);
+            if (colorField === 'region') filters.region = keep(filters.region && filters.region !== 'all' ? [filters.region] : this.regions);
+        }
+        
+        // Filter data, keeping only records with every plotted field
+        // (in paired mode, at least one of the paired fields)
+        const defined = (d, field) => d[field] !== null && d[field] !== undefined;
+        const yFields = pairs ? pairs.fields.map(p => p.field) : [yField];
+        const requirements = [
+            ...[...new Set([xField, ...(scene.require || [])])].map(field => ({ name: fieldText(field, 'name'), met: d => defined(d, field) })),
+            { name: yFields.map(field => fieldText(field, 'name')).join(t('coverage.and')), met: d => yFields.some(field => defined(d, field)) },
+            this.basicDataRequirement()
+        ];
+        const isComplete = d => requirements.every(requirement => requirement.met(d));
+        const candidates = this.filterData(filters);
+        const data = candidates.filter(isComplete);
+        this.plotted[index] = data;
+        this.updateDataTable(index, [...new Set([xField, ...yFields, sizeField, colorField].filter(Boolean))]);
+        this.updateSelectionSummary(index, [xField, ...yFields]);
+        
+        // Points with a filled-in value on any plotted field are drawn dashed
+        const plottedFields = [xField, sizeField, colorField].filter(Boolean);
+        const isImputed = (d, field = yField) => !!d.imputed && [...plottedFields, field].some(f => d.imputed.includes(f));
+        this.updateCoverageNote(index, candidates, data, requirements, 
+            data.filter(d => yFields.some(field => isImputed(d, field))));
+        
+        const layers = this.getChartLayers(svgId);
+        
+        // Clear everything that is redrawn from scratch; points and axes are updated in place
+        this.pendingAnnotations = null;
+        layers.grid.selectAll('*').remove();
+        layers.trails.selectAll('*').remove();
+        layers.trend.selectAll('*').remove();
+        layers.overlay.selectAll('*').remove();
         
-        if (validData.length === 0) {
-            container.append('text')
+        // During playback, points glide linearly for the whole step instead of easing in and out
+        // Zooming redraws every frame, so nothing is animated then
+        const playing = this.playback.timer && this.playback.scene === index;
+        const duration = this.zooming ? 0 : (playing ? this.playbackInterval(index) * 0.9 : this.transitionDuration);
+        const ease = playing ? d3.easeLinear : this.transitionEase;
+        const stagger = playing || this.zooming ? 0 : (scene.stagger || 15);
+        
+        // Records from several years share a country, so key them by year as well
+        const key = filters.year
+            ? d => d.country_code || d.country_name
+            : d => `${d.country_code || d.country_name}_${d.year}`;
+        
+        if (data.length === 0) {
+            layers.points.selectAll('.country-circle').remove();
+            layers.pairs.selectAll('*').remove();
+            layers.aggregates.selectAll('*').remove();
+            layers.labels.selectAll('*').remove();
+            layers.axes.selectAll('*').remove();
+            layers.overlay.append('text')
                 .attr('x', this.width / 2)
                 .attr('y', this.height / 2)
                 .attr('text-anchor', 'middle')
                 .style('font-size', '16px')
-                .style('fill', '#6b7280')
-                .text('No data available for the selected filters');
+                .style('fill', this.theme.muted)
+                .text(scene.emptyMessage || t('scene.empty'));
             return;
         }
         
-        // Set up scales with better domain handling
-        const xExtent = d3.extent(validData, d => d.income_per_capita);
-        const xScale = d3.scaleLog()
-            .domain([Math.max(xExtent[0], 100), xExtent[1]]) // Avoid log(0) issues
-            .range([0, this.width])
-            .clamp(true);
+        // Keep axes fixed across all years while animating or drawing trails,
+        // so movement on screen reflects change in the data rather than in the scales
+        const history = playing || showTrails
+            ? this.filterData({ ...filters, year: null }).filter(isComplete)
+            : null;
+        const domainData = history || data;
         
-        const yScale = d3.scaleSqrt()
-            .domain([0, d3.max(validData, d => d.hiv_incidence_rate) * 1.1])
-            .range([this.height, 0]);
+        // Set up scales, then apply the zoom: everything below is drawn with the zoomed scales
+        const baseX = this.buildScale(encoding.x, domainData, [0, this.width]);
+        const yDomainData = pairs
+            ? domainData.flatMap(d => yFields.filter(field => defined(d, field)).map(field => ({ [yField]: d[field] })))
+            : domainData;
+        const baseY = this.buildScale(encoding.y, yDomainData, [this.height, 0]);
+        this.zoomBase[index] = d => yFields
+            .filter(field => defined(d, field))
+            .map(field => [baseX(d[xField]), baseY(d[field])]);
+        const zoom = this.updateZoom(index, layers, [xField, encoding.x.scale, ...yFields, encoding.y.scale].join('|'));
+        const zoomed = zoom.k !== 1 || zoom.x !== 0 || zoom.y !== 0;
+        // Points outside a zoomed domain are clipped, not clamped to its edges
+        const xScale = zoomed ? zoom.rescaleX(baseX).clamp(false) : baseX;
+        const yScale = zoomed ? zoom.rescaleY(baseY).clamp(false) : baseY;
         
+        // Bubbles without a size value (or with uniform sizing) get the smallest radius
+        const sizeRange = ((encoding.size && encoding.size.range) || [4, 20]).map(r => r * this.radiusFactor());
         const rScale = d3.scaleSqrt()
-            .domain(d3.extent(validData, d => d.total_population || 1000000))
-            .range([3, 25]);
-        
-        // Add axes with better logarithmic tick distribution
-        container.append('g')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(d3.axisBottom(xScale)
-                .tickValues([200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000]) // Custom tick values for better spacing
-                .tickFormat(d => {
-                    if (d >= 10000) return `$${Math.round(d/1000)}k`;
-                    if (d >= 1000) return `$${(d/1000).toFixed(1)}k`;
-                    return `$${Math.round(d)}`;
-                }))
-            .selectAll('text')
-            .style('font-size', '10px')
-            .attr('transform', 'rotate(-45)')
-            .style('text-anchor', 'end');
+            .domain(sizeField ? d3.extent(domainData, d => d[sizeField]) : [0, 1])
+            .range(sizeRange);
+        const radius = d => sizeField && d[sizeField] !== null && d[sizeField] !== undefined 
+            ? rScale(d[sizeField]) 
+            : (sizeField ? sizeRange[0] : 6 * this.radiusFactor());
+        const color = this.buildColorScale(colorField, domainData);
+        const opacity = d => groupField ? this.pointOpacity(d) * 0.35 : this.pointOpacity(d);
         
-        // Add x-axis label
-        container.append('text')
-            .attr('x', this.width / 2)
-            .attr('y', this.height + 55)
-            .attr('fill', 'black')
-            .style('text-anchor', 'middle')
-            .style('font-weight', '500')
-            .style('font-size', '12px')
-            .text('Income Per Capita (USD) - Log Scale');
+        this.addAxes(layers.axes, encoding, xScale, yScale, scene.frame, duration);
         
-        // Add y-axis with cleaner formatting
-        container.append('g')
-            .call(d3.axisLeft(yScale)
-                .ticks(6)
-                .tickFormat(d => d.toFixed(1)))
-            .selectAll('text')
-            .style('font-size', '11px');
+        if (scene.grid) {
+            // Add subtle grid lines for better readability
+            layers.grid.append('g')
+                .attr('class', 'grid')
+                .attr('transform', `translate(0,${this.height})`)
+                .call(d3.axisBottom(xScale)
+                    .ticks(this.tickCount(this.width, 120))
+                    .tickSize(-this.height)
+                    .tickFormat('')
+                )
+                .selectAll('line')
+                .style('stroke', this.theme.grid)
+                .style('stroke-dasharray', '2,2')
+                .style('opacity', 0.4);
+            
+            layers.grid.append('g')
+                .attr('class', 'grid')
+                .call(d3.axisLeft(yScale)
+                    .ticks(encoding.y.ticks || this.tickCount(this.height))
+                    .tickSize(-this.width)
+                    .tickFormat('')
+                )
+                .selectAll('line')
+                .style('stroke', this.theme.grid)
+                .style('stroke-dasharray', '2,2')
+                .style('opacity', 0.4);
+        }
         
-        // Add y-axis label
-        container.append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('y', -60)
-            .attr('x', -this.height / 2)
-            .attr('fill', 'black')
-            .style('text-anchor', 'middle')
-            .style('font-weight', '500')
-            .style('font-size', '12px')
-            .text('HIV Incidence Rate (per 1,000)');
+        if (showTrails) {
+            this.addTrails(layers.trails, data, history, +filters.year, xScale, yScale, xField, yField, color);
+        }
         
-        // Add circles with smooth transitions
-        const circles = container.selectAll('.country-circle')
-            .data(validData, d => d.country_code || d.country_name);
+        // Add circles with smooth transitions (paired mode draws its own markers instead)
+        const circles = layers.points.selectAll('.country-circle')
+            .data(pairs || !showCountries ? [] : data, key);
         
         // Handle entering circles
         const circlesEnter = circles.enter()
             .append('circle')
             .attr('class', 'country-circle')
-            .attr('cx', d => xScale(d.income_per_capita))
-            .attr('cy', d => yScale(d.hiv_incidence_rate))
+            .attr('cx', d => xScale(d[xField]))
+            .attr('cy', d => yScale(d[yField]))
             .attr('r', 0) // Start with radius 0
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('stroke', '#fff')
+            .attr('fill', color)
+            .attr('stroke', this.theme.halo)
             .attr('stroke-width', 1)
             .attr('opacity', 0)
             .style('cursor', 'pointer');
         
         // Animate entering circles
-        circlesEnter.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .delay((d, i) => i * 20) // Stagger animation
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('opacity', 0.7);
+        const entering = circlesEnter.transition()
+            .duration(duration)
+            .ease(ease)
+            .delay((d, i) => i * stagger) // Stagger animation
+            .attr('r', radius)
+            .attr('opacity', opacity);
         
         // Handle updating circles
-        circles.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .attr('cx', d => xScale(d.income_per_capita))
-            .attr('cy', d => yScale(d.hiv_incidence_rate))
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('opacity', 0.7);
+        const updating = circles.transition()
+            .duration(duration)
+            .ease(ease)
+            .attr('cx', d => xScale(d[xField]))
+            .attr('cy', d => yScale(d[yField]))
+            .attr('r', radius)
+            .attr('fill', color)
+            .attr('opacity', opacity);
         
         // Handle exiting circles
         circles.exit()
             .transition()
-            .duration(this.transitionDuration / 2)
-            .ease(this.transitionEase)
+            .duration(duration / 2)
+            .ease(ease)
             .attr('r', 0)
             .attr('opacity', 0)
             .remove();
         
+        if (pairs) {
+            this.renderPairs(layers.pairs, data, pairs, xField, xScale, yScale, key, duration, ease);
+        } else {
+            layers.pairs.selectAll('*').remove();
+        }
+        
+        // Aggregate bubbles are sized against every year's aggregates so they stay comparable during playback
+        const aggregates = groupField ? this.aggregateData(data, groupField) : [];
+        const aggregateRange = [14, 36].map(r => r * this.radiusFactor());
+        const aggregateScale = d3.scaleSqrt()
+            .domain(sizeField && groupField ? d3.extent(this.aggregateData(domainData, groupField), d => d[sizeField]) : [0, 1])
+            .range(aggregateRange);
+        const aggregateRadius = d => sizeField && d[sizeField] !== null 
+            ? aggregateScale(d[sizeField]) 
+            : (aggregateRange[0] + aggregateRange[1]) / 2;
+        const aggregateCircles = this.renderAggregates(layers.aggregates, aggregates, key, !filters.year, 
+            xScale, yScale, xField, yField, aggregateRadius, color, duration, ease);
+        
         // Merge enter and update selections for event handlers
-        const allCircles = circlesEnter.merge(circles);
-        
-        // Add subtle grid lines for better readability
-        container.append('g')
-            .attr('class', 'grid')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(d3.axisBottom(xScale)
-                .ticks(8)
-                .tickSize(-this.height)
-                .tickFormat('')
-            )
-            .selectAll('line')
-            .style('stroke', '#e5e7eb')
-            .style('stroke-dasharray', '2,2')
-            .style('opacity', 0.4);
-            
-        container.append('g')
-            .attr('class', 'grid')
-            .call(d3.axisLeft(yScale)
-                .ticks(6)
-                .tickSize(-this.width)
-                .tickFormat('')
-            )
-            .selectAll('line')
-            .style('stroke', '#e5e7eb')
-            .style('stroke-dasharray', '2,2')
-            .style('opacity', 0.4);
+        const allCircles = pairs 
+            ? layers.pairs.selectAll('.pair-marker').filter(function(d) { return defined(d, this.dataset.field); })
+            : circlesEnter.merge(circles);
+        
+        const labelY = pairs
+            ? d => yScale(d3.max(yFields, field => d[field]))
+            : d => yScale(d[yField]);
+        this.highlightPinned(allCircles, layers.labels, d => xScale(d[xField]), labelY, pairs ? () => 5 : radius, duration);
+        if (this.inStory(index)) {
+            layers.brush.selectAll('*').remove();
+        } else {
+            this.addBrush(layers.brush, data, d => yFields
+                .filter(field => defined(d, field))
+                .map(field => [xScale(d[xField]), yScale(d[field])]));
+        }
+        
+        allCircles.each(function(d) {
+            const field = pairs ? this.dataset.field : yField;
+            const imputed = isImputed(d, field);
+            const circle = d3.select(this)
+                .classed('imputed', imputed)
+                .attr('stroke-dasharray', imputed ? '3,2' : null)
+                .attr('fill-opacity', imputed ? 0.35 : null);
+            if (imputed && !circle.classed('pinned')) {
+                circle.attr('stroke', pairs ? pairs.fields.find(p => p.field === field).color : color(d));
+            }
+        });
+        
+        if (filters.trend.method !== 'none') {
+            const options = { ...filters.trend, logAxis: encoding.x.scale === 'log', yDomain: baseY.domain() };
+            // One trend line per paired field, in that field's color
+            const fits = pairs 
+                ? pairs.fields.map(p => ({ name: p.name, color: p.color, yField: p.field }))
+                : [{ color: this.theme.trend, yField }];
+            const results = fits
+                .map(fit => ({ ...fit, stats: this.addTrendLine(layers.trend, data, xField, fit.yField, xScale, yScale, fit.color, options) }))
+                .filter(fit => fit.stats);
+            this.addTrendStats(layers.overlay, results, scene.legend === 'left' ? 'right' : 'left');
+        }
+        
+        if (pairs) {
+            this.addTooltip(allCircles, d => this.pairTooltip(d, pairs, xField));
+            allCircles.on('click.detail', (event, d) => this.showCountryDetail(d.country_code, d.year));
+            pairs.fields.forEach(p => {
+                const markers = allCircles.filter(function() { return this.dataset.field === p.field; });
+                this.addCrosshair(markers, layers.overlay, xScale, yScale, xField, p.field);
+            });
+            this.addPairLegend(layers.overlay, pairs, scene.legend);
+            return;
+        }
         
         // Add interactivity
+        const tooltipFields = [...new Set([
+            xField,
+            yField,
+            ...(scene.tooltip || []).map(field => encoding[field] ? encoding[field].field : field),
+            sizeField,
+            colorField
+        ].filter(Boolean))];
         this.addTooltip(allCircles, d => `
-            <strong>${d.country_name}</strong><br/>
-            Income: $${(d.income_per_capita || 0).toLocaleString()}<br/>
-            HIV Rate: ${(d.hiv_incidence_rate || 0).toFixed(2)} per 1,000<br/>
-            Population: ${(d.total_population || 0).toLocaleString()}<br/>
-            Income Group: ${d.income_group}
+            <strong>${escapeHtml(d.country_name)}</strong><br/>
+            ${tooltipFields.map(field => this.tooltipLine(field, this.formatValue(field, d[field], d))).join('<br/>')}
         `);
+        this.addTooltip(aggregateCircles, d => `
+            <strong>${escapeHtml(d.country_name)}</strong>${filters.year ? '' : ` (${d.year})`}<br/>
+            ${t('tooltip.aggregate', { count: d.countries })}<br/>
+            ${tooltipFields.filter(field => field in d.counts).map(field => 
+                this.tooltipLine(field, t('tooltip.aggregateValue', { value: this.formatValue(field, d[field]), count: d.counts[field] }))
+            ).join('<br/>')}
+        `);
+        
+        // Open the country's time series on click
+        allCircles.on('click.detail', (event, d) => this.showCountryDetail(d.country_code, d.year));
         
         // Add crosshair lines with axis values
-        this.addCrosshair(allCircles, container, xScale, yScale, 'income_per_capita', 'hiv_incidence_rate');
+        this.addCrosshair(allCircles, layers.overlay, xScale, yScale, xField, yField);
+        this.addCrosshair(aggregateCircles, layers.overlay, xScale, yScale, xField, yField);
         
         // Add legend
-        this.addIncomeLegend(container, 'scene1');
+        this.addColorLegend(layers.overlay, colorField, color, scene.legend, index);
         
-        // Calculate when all circle animations will be complete
-        const maxDelay = (validData.length - 1) * 20; // Last circle's stagger delay
-        const totalAnimationTime = this.transitionDuration + maxDelay;
+        // Annotations are written for the scene's own axes and pick countries, so they are left out with the
+        // country points hidden behind aggregates, and would only get in the way of moving or zoomed points
+        const authored = xField === scene.x.field && yField === scene.y.field && !pairs;
+        const annotations = this.storyAnnotations(scene, index);
+        if (annotations.length && authored && showCountries && !playing && !zoomed) {
+            // Drawn once every point has arrived. A newer render interrupts these transitions,
+            // which rejects end(), and takes over the annotations itself.
+            const pending = this.pendingAnnotations = {};
+            Promise.all([entering.end(), updating.end()])
+                .then(() => {
+                    if (this.pendingAnnotations !== pending) return;
+                    this.renderAnnotations(layers.overlay, annotations, data, 
+                        d => xScale(d[xField]), d => yScale(d[yField]), radius, color);
+                })
+                .catch(() => {});
+        }
+    }
+    
+    // The scene's annotations the current story step shows: the step's own, or all of them on the last step
+    storyAnnotations(scene, index) {
+        const all = scene.annotations || [];
+        if (!scene.steps) return all;
+        const step = scene.steps[this.storySteps[index] - 1];
+        if (step.annotations) return step.annotations.map(i => all[i]);
+        return this.inStory(index) ? [] : all;
+    }
+    
+    // Sequential color scale for the map: colors.hiv for HIV incidence on its default palette,
+    // otherwise the picked palette over every year's values, on the field's default scale type
+    buildMapColorScale(field, palette) {
+        if (field === 'hiv_incidence_rate' && palette === 'hiv') return this.colors.hiv;
         
-        // Add annotations after all animations are complete
-        setTimeout(() => {
-            this.addScene1Annotations(container, xScale, yScale, validData);
-        }, totalAnimationTime + 200); // Extra 200ms buffer for smoothness
+        const values = this.data.map(d => d[field]).filter(v => v !== null && v !== undefined);
+        const interpolator = MAP_PALETTES[palette].interpolator || this.theme.hiv;
+        switch (FIELDS[field].scale) {
+            case 'log':
+                return d3.scaleSequentialLog(interpolator)
+                    .domain([Math.max(d3.min(values), FIELDS[field].min || 1), d3.max(values)])
+                    .clamp(true);
+            case 'sqrt':
+                return d3.scaleSequentialSqrt(interpolator).domain([0, d3.max(values)]);
+            default:
+                return d3.scaleSequential(interpolator).domain(d3.extent(values));
+        }
     }
     
-    // Scene 2: Education Factor
-    renderScene2() {
-        const sceneId = 'scene-2';
-        const svgId = 'viz-2';
+    // Choropleth of one indicator, joined to the map shapes on country_code.
+    // Clicking a country pins it, which carries the highlight over to the scatter scenes.
+    renderMap(scene, index) {
+        const sceneId = `scene-${index}`;
+        const svgId = `viz-${index}`;
+        
+        if (!this.world) {
+            this.showLoading(sceneId);
+            this.worldRequest = this.worldRequest || this.loadWorld()
+                .then(() => this.renderCurrentScene())
+                .catch(error => {
+                    console.error('Error loading map:', error);
+                    this.showError(t('error.loadMap'));
+                });
+            return;
+        }
         
         this.hideLoading(sceneId);
+        this.measureChart(index);
+        
+        const filters = this.getSceneFilters(scene, index);
+        const field = filters.fields.color;
+        const requirements = [
+            { name: fieldText(field, 'name'), met: d => d[field] !== null && d[field] !== undefined },
+            this.basicDataRequirement()
+        ];
+        const candidates = this.filterData(filters);
+        const data = candidates.filter(d => requirements.every(requirement => requirement.met(d)));
+        this.plotted[index] = data;
+        this.updateDataTable(index, [field, ...(scene.tooltip || []).filter(f => f !== field)]);
+        this.updateSelectionSummary(index, [field]);
+        const isImputed = d => !!d.imputed && d.imputed.includes(field);
+        this.updateCoverageNote(index, candidates, data, requirements, data.filter(isImputed));
+        const byCode = new Map(data.map(d => [d.country_code, d]));
+        const regionOf = new Map(this.data.map(d => [d.country_code, d.region]));
+        // Like filterData, no region control means all regions, and a list keeps each region in it
+        const inRegion = code => !filters.region || filters.region === 'all' || 
+            [].concat(filters.region).includes(regionOf.get(code));
+        const color = this.buildMapColorScale(field, filters.palette);
+        const fill = f => byCode.has(f.properties.a3) ? color(byCode.get(f.properties.a3)[field]) : this.theme.missing;
         
-        // Get filter values
-        const year = document.getElementById('year-slider-2')?.value || '2021';
-        const educationMetric = document.getElementById('education-metric')?.value || 'secondary_school_enrollment';
+        const layers = this.getChartLayers(svgId);
+        layers.overlay.selectAll('*').remove();
         
-        // Filter data for selected year with education data
-        const data = this.data.filter(d => 
-            d.year === parseInt(year) && 
-            d[educationMetric] !== null && 
-            d.hiv_incidence_rate !== null &&
-            d.income_per_capita !== null
-        );
+        const playing = this.playback.timer && this.playback.scene === index;
+        const duration = playing ? this.playbackInterval(index) * 0.9 : this.transitionDuration;
+        const ease = playing ? d3.easeLinear : this.transitionEase;
         
-        // Remove previous visualization
-        d3.select(`#${svgId}`).selectAll('*').remove();
+        // Zoom in on the selected region
+        const features = this.world.features.filter(f => inRegion(f.properties.a3));
+        const projection = d3.geoNaturalEarth1()
+            .fitSize([this.width, this.height], { type: 'FeatureCollection', features: features.length ? features : this.world.features });
+        const path = d3.geoPath(projection);
         
-        if (data.length === 0) {
-            const svg = d3.select(`#${svgId}`);
-            svg.append('text')
-                .attr('x', '50%')
-                .attr('y', '50%')
+        const shapes = layers.points.selectAll('.map-country')
+            .data(this.world.features, f => f.properties.a3);
+        
+        const allShapes = shapes.enter()
+            .append('path')
+            .attr('class', 'map-country')
+            .attr('fill', fill)
+            .merge(shapes);
+        
+        const pinned = f => this.isPinned(f.properties.a3);
+        const imputed = f => byCode.has(f.properties.a3) && isImputed(byCode.get(f.properties.a3));
+        allShapes
+            .attr('d', path)
+            .attr('stroke', f => pinned(f) ? this.theme.ink : (imputed(f) ? this.theme.muted : this.theme.halo))
+            .attr('stroke-width', f => pinned(f) ? 1.5 : 0.5)
+            .attr('stroke-dasharray', f => imputed(f) && !pinned(f) ? '2,1.5' : null)
+            .attr('fill-opacity', f => !this.selectedCountries.size || this.selectedCountries.has(f.properties.a3) ? 1 : 0.35)
+            .style('cursor', f => regionOf.has(f.properties.a3) ? 'pointer' : 'default')
+            .style('display', f => inRegion(f.properties.a3) ? null : 'none');
+        allShapes.filter(pinned).raise();
+        
+        allShapes.transition()
+            .duration(duration)
+            .ease(ease)
+            .attr('fill', fill);
+        
+        this.markMissingPinned(new Set(this.world.features
+            .filter(f => byCode.has(f.properties.a3) && inRegion(f.properties.a3))
+            .map(f => f.properties.a3)));
+        
+        const tooltipFields = [field, ...(scene.tooltip || []).filter(f => f !== field)];
+        this.addTooltip(allShapes, f => {
+            const d = byCode.get(f.properties.a3);
+            if (!d) {
+                return `<strong>${f.properties.name}</strong><br/>` + 
+                    t('tooltip.noData', { name: fieldText(field, 'name').toLowerCase(), year: filters.year });
+            }
+            return `
+                <strong>${escapeHtml(d.country_name)}</strong><br/>
+                ${tooltipFields.map(f => this.tooltipLine(f, this.formatValue(f, d[f], d))).join('<br/>')}<br/>
+                <em>${t(this.pinnedCountries.has(d.country_code) ? 'tooltip.unpin' : 'tooltip.pin')}</em>
+            `;
+        }, f => f.properties.name);
+        
+        allShapes.on('click.pin', (event, f) => {
+            const code = f.properties.a3;
+            if (!regionOf.has(code)) return;
+            d3.select('#tooltip').style('opacity', 0);
+            if (this.pinnedCountries.has(code)) {
+                this.unpinCountry(code);
+            } else {
+                this.pinCountry(code);
+            }
+        });
+        
+        if (!data.length) {
+            layers.overlay.append('text')
+                .attr('x', this.width / 2)
+                .attr('y', this.height / 2)
                 .attr('text-anchor', 'middle')
                 .style('font-size', '16px')
-                .style('fill', '#6b7280')
-                .text('Limited education data available');
+                .style('fill', this.theme.muted)
+                .text(scene.emptyMessage || t('scene.empty'));
             return;
         }
         
-        const svg = d3.select(`#${svgId}`);
-        const container = svg.append('g')
-            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+        // Legend in the open ocean at the bottom left, with the map's coverage underneath
+        this.addGradientLegend(layers.overlay, field, color)
+            .attr('transform', `translate(0, ${this.height - 52})`);
         
-        // Set up scales
-        const xScale = d3.scaleLinear()
-            .domain(d3.extent(data, d => d[educationMetric]))
-            .range([0, this.width]);
+        const drawn = this.world.features.filter(f => byCode.has(f.properties.a3)).length;
+        layers.overlay.append('text')
+            .attr('x', 0)
+            .attr('y', this.height + 24)
+            .style('font-size', '11px')
+            .style('fill', this.theme.muted)
+            .text(t('map.coverage', { drawn: d3.format(',')(drawn), total: d3.format(',')(data.length) }));
+    }
+    
+    // Line chart of one indicator over the years: for each group (AGGREGATE_GROUPS, or all countries) the
+    // median of the countries reporting each year, with a band from the 25th to the 75th percentile, and
+    // a line for every pinned country. Small multiples draw one panel per region or income group on a
+    // shared y scale.
+    renderLines(scene, index) {
+        const sceneId = `scene-${index}`;
+        const svgId = `viz-${index}`;
         
-        const yScale = d3.scaleSqrt()
-            .domain([0, d3.max(data, d => d.hiv_incidence_rate) * 1.1])
-            .range([this.height, 0]);
+        this.hideLoading(sceneId);
+        this.measureChart(index);
         
-        const rScale = d3.scaleSqrt()
-            .domain(d3.extent(data, d => d.total_population || 1000000))
-            .range([4, 20]);
+        const filters = this.getSceneFilters(scene, index);
+        const field = filters.fields.y || scene.y.field;
+        const groupField = ('group' in filters ? filters.group : scene.group && scene.group.field) || null;
+        const facetField = filters.facet || null;
         
-        // Add axes
-        const xLabel = educationMetric === 'adult_literacy_rate' ? 'Adult Literacy Rate (%)' : 'Secondary School Enrollment (%)';
+        // Groups switched off in the legend are left out of the data, as in the scatter plots
+        const hidden = groupField ? this.legendHidden(index, groupField) : new Set();
+        if (hidden.size) {
+            const keep = values => values.filter(value => !hidden.has(value));
+            if (groupField === 'income_group') filters.income = keep(this.incomeGroups);
+            if (groupField === 'region') filters.region = keep(filters.region && filters.region !== 'all' ? [filters.region] : this.regions);
+        }
         
-        container.append('g')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(d3.axisBottom(xScale))
-            .append('text')
-            .attr('x', this.width / 2)
-            .attr('y', 40)
-            .attr('fill', 'black')
+        const requirements = [
+            { name: fieldText(field, 'name'), met: d => d[field] !== null && d[field] !== undefined },
+            this.basicDataRequirement()
+        ];
+        const candidates = this.filterData(filters);
+        const data = candidates.filter(d => requirements.every(requirement => requirement.met(d)));
+        this.plotted[index] = data;
+        this.updateDataTable(index, [...new Set([field, groupField, facetField].filter(Boolean))]);
+        this.updateSelectionSummary(index, [field]);
+        const isImputed = d => !!d.imputed && d.imputed.includes(field);
+        this.updateCoverageNote(index, candidates, data, requirements, data.filter(isImputed));
+        this.markMissingPinned(new Set(data.map(d => d.country_code)));
+        
+        const facetOf = d => facetField ? d[facetField] : null;
+        const groupOf = d => groupField ? d[groupField] : null;
+        const groupName = group => groupField ? categoryName(group) : t('lines.allCountries');
+        const color = group => groupField === 'region' ? this.colors.regions(group) 
+            : (groupField ? this.colors.income(group) : this.theme.highlight);
+        
+        // One median series per panel and group, over the years with enough countries reporting
+        const grouped = data.filter(d => (!facetField || d[facetField]) && (!groupField || d[groupField]));
+        const series = d3.groups(grouped, facetOf, groupOf).flatMap(([facet, groups]) => 
+            groups.map(([group, records]) => ({
+                facet,
+                group,
+                ...(groupField ? { [groupField]: group } : {}),
+                points: d3.groups(records, d => d.year)
+                    .filter(([, year]) => year.length >= LINE_MIN_COUNTRIES)
+                    .map(([year, yearRecords]) => {
+                        const values = yearRecords.map(d => d[field]).sort(d3.ascending);
+                        return {
+                            facet,
+                            group,
+                            year,
+                            median: d3.quantileSorted(values, 0.5),
+                            q1: d3.quantileSorted(values, 0.25),
+                            q3: d3.quantileSorted(values, 0.75),
+                            countries: values.length
+                        };
+                    })
+                    .sort((a, b) => a.year - b.year)
+            }))
+        ).filter(s => s.points.length);
+        const medianOf = (facet, group, year) => series
+            .find(s => s.facet === facet && s.group === group)?.points.find(p => p.year === year);
+        
+        // Pinned countries (and the story step's highlights) as lines of their own
+        const countries = d3.groups(data.filter(d => this.isPinned(d.country_code)), d => d.country_code)
+            .map(([code, records]) => ({ code, facet: facetOf(records[0]), records: records.sort((a, b) => a.year - b.year) }));
+        
+        const layers = this.getChartLayers(svgId);
+        ['grid', 'axes', 'trend', 'points', 'aggregates', 'labels', 'overlay'].forEach(name => layers[name].selectAll('*').remove());
+        
+        if (!series.length && !countries.length) {
+            layers.overlay.append('text')
+                .attr('x', this.width / 2)
+                .attr('y', this.height / 2)
+                .attr('text-anchor', 'middle')
+                .style('font-size', '16px')
+                .style('fill', this.theme.muted)
+                .text(scene.emptyMessage || t('scene.empty'));
+            return;
+        }
+        
+        // Panels fill the plot area, leaving room beside them for the group legend
+        const facets = facetField
+            ? (facetField === 'region' ? this.regions : KNOWN_INCOME_GROUPS).filter(facet => data.some(d => d[facetField] === facet))
+            : [null];
+        const legendSpace = groupField ? (groupField === 'region' ? 185 : 145) * (this.width < 500 ? 0.75 : 1) + 15 : 0;
+        const legendLeft = scene.legend === 'left';
+        const gap = { x: 16, y: 36 };
+        const titleHeight = facetField ? 18 : 0;
+        const columns = Math.min(facets.length, this.width < 600 ? 2 : 4);
+        const rows = Math.ceil(facets.length / columns);
+        const panelWidth = (this.width - legendSpace - gap.x * (columns - 1)) / columns;
+        const panelHeight = (this.height - gap.y * (rows - 1)) / rows - titleHeight;
+        
+        // Scales shared by every panel; scene-specific axis settings only apply to the field the scene was written for
+        const { scale, min, tickValues } = FIELDS[field];
+        const yAxis = { scale, min, tickValues, ...(field === scene.y.field ? scene.y : {}), field };
+        const x = d3.scaleLinear()
+            .domain(d3.extent(data, d => d.year))
+            .range([0, panelWidth]);
+        const y = this.buildScale(yAxis, [
+            ...series.flatMap(s => s.points.flatMap(p => [{ [field]: p.q1 }, { [field]: p.q3 }])),
+            ...countries.flatMap(c => c.records)
+        ], [panelHeight, 0]);
+        const span = x.domain()[1] - x.domain()[0];
+        const xTicks = Math.max(1, Math.min(span, this.tickCount(panelWidth, 60)));
+        
+        const band = d3.area()
+            .x(p => x(p.year))
+            .y0(p => y(p.q1))
+            .y1(p => y(p.q3));
+        const median = d3.line()
+            .x(p => x(p.year))
+            .y(p => y(p.median));
+        const countryLine = d3.line()
+            .x(d => x(d.year))
+            .y(d => y(d[field]));
+        
+        const panels = layers.points.selectAll('.line-panel')
+            .data(facets)
+            .join('g')
+            .attr('class', 'line-panel')
+            .attr('transform', (facet, i) => {
+                const left = (legendLeft ? legendSpace : 0) + (i % columns) * (panelWidth + gap.x);
+                const top = Math.floor(i / columns) * (panelHeight + titleHeight + gap.y) + titleHeight;
+                return `translate(${left},${top})`;
+            });
+        
+        panels.attr('opacity', 0)
+            .transition()
+            .duration(this.transitionDuration / 2)
+            .attr('opacity', 1);
+        
+        if (facetField) {
+            panels.append('text')
+                .attr('class', 'panel-title')
+                .attr('y', -6)
+                .style('font-size', '12px')
+                .style('font-weight', '600')
+                .text(facet => categoryName(facet));
+        }
+        
+        if (scene.grid) {
+            panels.append('g')
+                .attr('class', 'grid')
+                .call(d3.axisLeft(y)
+                    .ticks(this.tickCount(panelHeight))
+                    .tickSize(-panelWidth)
+                    .tickFormat('')
+                )
+                .call(g => g.select('.domain').remove())
+                .selectAll('line')
+                .style('stroke', this.theme.grid)
+                .style('stroke-dasharray', '2,2')
+                .style('opacity', 0.4);
+        }
+        
+        // Year ticks under every panel, value ticks labelled in the first column only
+        panels.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0,${panelHeight})`)
+            .call(d3.axisBottom(x).ticks(xTicks).tickFormat(d3.format('d')))
+            .selectAll('text')
+            .style('font-size', '10px');
+        
+        panels.append('g')
+            .attr('class', 'y-axis')
+            .each((facet, i, nodes) => {
+                const axis = this.configureTicks(d3.axisLeft(y), yAxis, y, panelHeight);
+                if (i % columns) axis.tickFormat('');
+                d3.select(nodes[i]).call(axis);
+            })
+            .selectAll('text')
+            .style('font-size', '10px');
+        
+        // Median lines over their interquartile bands
+        const medians = panels.selectAll('.median-series')
+            .data(facet => series.filter(s => s.facet === facet))
+            .join('g')
+            .attr('class', 'median-series');
+        
+        medians.append('path')
+            .attr('class', 'median-band')
+            .attr('d', s => band(s.points))
+            .attr('fill', s => color(s.group))
+            .attr('fill-opacity', 0.15);
+        
+        medians.append('path')
+            .attr('class', 'median-line')
+            .attr('d', s => median(s.points))
+            .attr('fill', 'none')
+            .attr('stroke', s => color(s.group))
+            .attr('stroke-width', 2.5);
+        
+        medians.selectAll('.median-point')
+            .data(s => s.points)
+            .join('circle')
+            .attr('class', 'median-point')
+            .attr('cx', p => x(p.year))
+            .attr('cy', p => y(p.median))
+            .attr('r', 3)
+            .attr('fill', p => color(p.group))
+            .attr('stroke', this.theme.halo);
+        
+        // Pinned countries, hollow where the value was filled in, labelled at their latest year
+        const lines = panels.selectAll('.country-line')
+            .data(facet => countries.filter(c => c.facet === facet))
+            .join('g')
+            .attr('class', 'country-line');
+        
+        lines.append('path')
+            .attr('d', c => countryLine(c.records))
+            .attr('fill', 'none')
+            .attr('stroke', this.theme.ink)
+            .attr('stroke-width', 1.5);
+        
+        lines.selectAll('.line-point')
+            .data(c => c.records)
+            .join('circle')
+            .attr('class', 'line-point')
+            .attr('cx', d => x(d.year))
+            .attr('cy', d => y(d[field]))
+            .attr('r', 3)
+            .attr('fill', d => isImputed(d) ? this.theme.surface : this.theme.ink)
+            .attr('stroke', this.theme.ink)
+            .attr('stroke-dasharray', d => isImputed(d) ? '2,1.5' : null)
+            .style('cursor', 'pointer');
+        
+        lines.append('text')
+            .attr('class', 'pinned-label')
+            .attr('x', c => x(c.records[c.records.length - 1].year) + 6)
+            .attr('y', c => y(c.records[c.records.length - 1][field]) + 4)
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('fill', this.theme.ink)
+            .style('paint-order', 'stroke')
+            .style('stroke', this.theme.halo)
+            .style('stroke-width', '3px')
+            .style('pointer-events', 'none')
+            .text(c => c.records[0].country_name);
+        
+        // Shared axis titles under and beside the panels
+        layers.axes.append('text')
+            .attr('x', (legendLeft ? legendSpace : 0) + (this.width - legendSpace) / 2)
+            .attr('y', this.height + 40)
+            .attr('fill', this.theme.ink)
             .style('text-anchor', 'middle')
             .style('font-weight', '500')
-            .text(xLabel);
+            .style('font-size', '12px')
+            .text(fieldText('year', 'label'));
         
-        container.append('g')
-            .call(d3.axisLeft(yScale)
-                .ticks(8)
-                .tickFormat(d => d.toFixed(1)))
-            .append('text')
+        layers.axes.append('text')
             .attr('transform', 'rotate(-90)')
-            .attr('y', -50)
+            .attr('y', 30 - this.margin.left)
             .attr('x', -this.height / 2)
-            .attr('fill', 'black')
+            .attr('fill', this.theme.ink)
             .style('text-anchor', 'middle')
             .style('font-weight', '500')
-            .text('HIV Incidence Rate (per 1,000) - Square Root Scale');
+            .style('font-size', '12px')
+            .text(this.axisLabel(yAxis));
+        
+        const panelName = facet => facet !== null ? `${categoryName(facet)} · ` : '';
+        const marks = panels.selectAll('.median-point, .line-point');
+        this.addTooltip(marks, d => {
+            if (d.median === undefined) {
+                const reference = medianOf(facetOf(d), groupOf(d), d.year);
+                return `
+                    <strong>${escapeHtml(d.country_name)}</strong> (${d.year})<br/>
+                    ${this.tooltipLine(field, this.formatValue(field, d[field], d))}${reference ? `<br/>
+                    ${t('lines.groupMedian', { group: escapeHtml(groupName(reference.group)), value: FIELDS[field].format(reference.median) })}` : ''}
+                `;
+            }
+            return `
+                <strong>${escapeHtml(panelName(facetField === groupField ? null : d.facet) + groupName(d.group))}</strong> (${d.year})<br/>
+                ${t('lines.median', { name: fieldText(field, 'name'), value: FIELDS[field].format(d.median) })}<br/>
+                ${t('lines.iqr', { low: FIELDS[field].format(d.q1), high: FIELDS[field].format(d.q3) })}<br/>
+                ${t('lines.reporting', { count: d.countries })}
+            `;
+        }, d => `${d.median === undefined ? d.country_name : groupName(d.group)}, ${d.year}`);
         
-        // Add top and right axes for complete frame (matching Scene 1)
-        container.append('g')
-            .call(d3.axisTop(xScale).tickSize(0).tickFormat(''))
-            .selectAll('path')
-            .style('stroke', '#000');
+        // Open the country's time series on click
+        marks.filter('.line-point').on('click.detail', (event, d) => this.showCountryDetail(d.country_code, d.year));
+        
+        if (groupField) {
+            this.addColorLegend(layers.overlay, groupField, null, scene.legend, index);
+        }
+        
+        layers.overlay.append('text')
+            .attr('x', 0)
+            .attr('y', this.height + 62)
+            .style('font-size', '11px')
+            .style('fill', this.theme.muted)
+            .text(t('lines.note', { count: LINE_MIN_COUNTRIES }));
+    }
+    
+    // Side panel with one sparkline per indicator for a single country
+    showCountryDetail(code, year) {
+        const panel = document.getElementById('detail-panel');
+        const records = this.data.filter(d => d.country_code === code).sort((a, b) => a.year - b.year);
+        if (!panel || !records.length) return;
+        
+        const latest = records[records.length - 1];
+        const years = d3.range(d3.min(this.years), d3.max(this.years) + 1);
+        const byYear = new Map(records.map(d => [d.year, d]));
+        
+        panel.querySelector('.detail-title').textContent = latest.country_name;
+        panel.querySelector('.detail-meta').textContent = 
+            [categoryName(latest.region), categoryName(latest.income_group), code].join(' · ');
+        
+        const list = d3.select(panel).select('.detail-list');
+        list.selectAll('*').remove();
+        
+        NUMERIC_FIELDS.forEach(field => {
+            const series = years.map(y => ({ year: y, value: byYear.has(y) ? byYear.get(y)[field] : null }));
+            const observed = series.filter(d => d.value !== null && d.value !== undefined);
+            const last = observed[observed.length - 1];
+            
+            const row = list.append('li').attr('class', 'detail-row');
+            const header = row.append('div').attr('class', 'detail-row-header');
+            header.append('span').attr('class', 'detail-label').text(fieldText(field, 'name'));
+            header.append('span')
+                .attr('class', 'detail-value')
+                .text(last ? `${FIELDS[field].format(last.value)} (${last.year})` : t('detail.noData'));
             
-        container.append('g')
-            .attr('transform', `translate(${this.width},0)`)
-            .call(d3.axisRight(yScale).tickSize(0).tickFormat(''))
-            .selectAll('path')
-            .style('stroke', '#000');
+            this.drawSparkline(row.append('svg').attr('class', 'sparkline'), series, year, FIELDS[field].format);
+            
+            const missing = series.length - observed.length;
+            row.append('div')
+                .attr('class', 'detail-missing')
+                .text(missing === 0 ? t('detail.complete') : t('detail.missing', { missing, total: series.length }));
+        });
+        
+        panel.hidden = false;
+        panel.classList.add('open');
+    }
+    
+    hideCountryDetail() {
+        const panel = document.getElementById('detail-panel');
+        if (!panel || panel.hidden) return;
+        panel.hidden = true;
+        panel.classList.remove('open');
+    }
+    
+    // Line over observed years, dots for every value, and red ticks on the baseline for missing years
+    drawSparkline(svg, series, highlightYear, format) {
+        const width = 240;
+        const height = 44;
+        const pad = { top: 6, right: 6, bottom: 12, left: 6 };
         
-        // Add circles with transitions
-        const circles = container.selectAll('.country-circle')
-            .data(data, d => d.country_code || d.country_name);
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('width', width)
+            .attr('height', height);
         
-        // Handle entering circles
-        const circlesEnter = circles.enter()
+        const observed = series.filter(d => d.value !== null && d.value !== undefined);
+        const x = d3.scaleLinear()
+            .domain(d3.extent(series, d => d.year))
+            .range([pad.left, width - pad.right]);
+        const yExtent = d3.extent(observed, d => d.value);
+        const y = d3.scaleLinear()
+            .domain(yExtent[0] === yExtent[1] ? [yExtent[0] - 1, yExtent[1] + 1] : yExtent)
+            .range([height - pad.bottom, pad.top]);
+        
+        // Baseline with first and last year
+        svg.append('line')
+            .attr('x1', pad.left)
+            .attr('x2', width - pad.right)
+            .attr('y1', height - pad.bottom + 3)
+            .attr('y2', height - pad.bottom + 3)
+            .attr('stroke', this.theme.grid);
+        
+        x.domain().forEach((year, i) => {
+            svg.append('text')
+                .attr('x', x(year))
+                .attr('y', height - 1)
+                .attr('text-anchor', i === 0 ? 'start' : 'end')
+                .style('font-size', '8px')
+                .style('fill', this.theme.muted)
+                .text(year);
+        });
+        
+        if (highlightYear) {
+            svg.append('line')
+                .attr('x1', x(highlightYear))
+                .attr('x2', x(highlightYear))
+                .attr('y1', pad.top)
+                .attr('y2', height - pad.bottom + 3)
+                .attr('stroke', this.theme.highlight)
+                .attr('stroke-dasharray', '2,2')
+                .attr('opacity', 0.6);
+        }
+        
+        // Missing years
+        svg.selectAll('.missing-year')
+            .data(series.filter(d => d.value === null || d.value === undefined))
+            .enter()
+            .append('line')
+            .attr('class', 'missing-year')
+            .attr('x1', d => x(d.year))
+            .attr('x2', d => x(d.year))
+            .attr('y1', height - pad.bottom)
+            .attr('y2', height - pad.bottom + 6)
+            .attr('stroke', this.theme.crosshair)
+            .attr('stroke-width', 1.5)
+            .append('title')
+            .text(d => t('detail.noDataYear', { year: d.year }));
+        
+        if (!observed.length) return;
+        
+        // Gaps in the line show where years are missing
+        svg.append('path')
+            .datum(series)
+            .attr('d', d3.line()
+                .defined(d => d.value !== null && d.value !== undefined)
+                .x(d => x(d.year))
+                .y(d => y(d.value)))
+            .attr('fill', 'none')
+            .attr('stroke', this.theme.ink)
+            .attr('stroke-width', 1.5);
+        
+        svg.selectAll('.observed-year')
+            .data(observed)
+            .enter()
             .append('circle')
-            .attr('class', 'country-circle')
-            .attr('cx', d => xScale(d[educationMetric]))
-            .attr('cy', d => yScale(d.hiv_incidence_rate))
-            .attr('r', 0)
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 1)
-            .attr('opacity', 0)
-            .style('cursor', 'pointer');
+            .attr('class', 'observed-year')
+            .attr('cx', d => x(d.year))
+            .attr('cy', d => y(d.value))
+            .attr('r', d => d.year === highlightYear ? 3 : 1.75)
+            .attr('fill', d => d.year === highlightYear ? this.theme.highlight : this.theme.ink)
+            .append('title')
+            .text(d => `${d.year}: ${format(d.value)}`);
+    }
+    
+    // Dumbbell per record: one marker per paired field, joined by a line at the same x
+    renderPairs(layer, data, pairs, xField, xScale, yScale, key, duration, ease) {
+        const defined = (d, field) => d[field] !== null && d[field] !== undefined;
+        const [first, second] = pairs.fields.map(p => p.field);
         
-        // Animate entering circles
-        circlesEnter.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .delay((d, i) => i * 15)
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('opacity', 0.7);
+        const groups = layer.selectAll('.pair')
+            .data(data, key);
         
-        // Handle updating circles
-        circles.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .attr('cx', d => xScale(d[educationMetric]))
-            .attr('cy', d => yScale(d.hiv_incidence_rate))
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('opacity', 0.7);
+        groups.exit().remove();
         
-        // Handle exiting circles
-        circles.exit()
+        const enter = groups.enter()
+            .append('g')
+            .attr('class', 'pair');
+        
+        enter.append('line')
+            .attr('class', 'pair-link')
+            .attr('stroke', this.theme.muted)
+            .attr('stroke-width', 2);
+        
+        pairs.fields.forEach(p => {
+            enter.append('circle')
+                .attr('class', 'country-circle pair-marker')
+                .attr('data-field', p.field)
+                .attr('r', 0)
+                .attr('fill', p.color)
+                .attr('stroke', this.theme.halo)
+                .attr('stroke-width', 1)
+                .style('cursor', 'pointer');
+        });
+        
+        const merged = enter.merge(groups);
+        
+        // Both ends are needed for the connecting line
+        merged.select('.pair-link')
+            .style('display', d => defined(d, first) && defined(d, second) ? null : 'none')
             .transition()
-            .duration(this.transitionDuration / 2)
-            .ease(this.transitionEase)
-            .attr('r', 0)
+            .duration(duration)
+            .ease(ease)
+            .attr('x1', d => xScale(d[xField]))
+            .attr('x2', d => xScale(d[xField]))
+            .attr('y1', d => yScale(d[first] || 0))
+            .attr('y2', d => yScale(d[second] || 0))
+            .attr('opacity', d => this.pointOpacity(d) * 0.8);
+        
+        pairs.fields.forEach(p => {
+            merged.select(`.pair-marker[data-field="${p.field}"]`)
+                .style('display', d => defined(d, p.field) ? null : 'none')
+                .transition()
+                .duration(duration)
+                .ease(ease)
+                .attr('cx', d => xScale(d[xField]))
+                .attr('cy', d => yScale(d[p.field] || 0))
+                .attr('r', 5)
+                .attr('opacity', d => this.pointOpacity(d));
+        });
+    }
+    
+    pairTooltip(d, pairs, xField) {
+        const [first, second] = pairs.fields;
+        const gap = d[first.field] !== null && d[second.field] !== null
+            ? t('pairs.gap', { value: d3.format('+.1f')(d[second.field] - d[first.field]) })
+            : t('value.na');
+        const line = (name, value) => t('tooltip.value', { name, value });
+        
+        return `
+            <strong>${escapeHtml(d.country_name)}</strong><br/>
+            ${this.tooltipLine(xField, this.formatValue(xField, d[xField], d))}<br/>
+            ${pairs.fields.map(p => line(p.name, this.formatValue(p.field, d[p.field], d))).join('<br/>')}<br/>
+            ${line(pairs.gapLabel, gap)}<br/>
+            ${this.tooltipLine('year', d.year)}
+        `;
+    }
+    
+    addPairLegend(container, pairs, position = 'right') {
+        const legend = container.append('g')
+            .attr('transform', this.legendTransform(position, 145));
+        
+        legend.append('rect')
+            .attr('width', 145)
+            .attr('height', 20 + pairs.fields.length * 18)
+            .attr('fill', this.theme.surface)
+            .attr('stroke', this.theme.grid)
+            .attr('rx', 4);
+        
+        pairs.fields.forEach((p, i) => {
+            legend.append('circle')
+                .attr('cx', 15)
+                .attr('cy', 20 + i * 18)
+                .attr('r', 5)
+                .attr('fill', p.color);
+            
+            legend.append('text')
+                .attr('x', 25)
+                .attr('y', 24 + i * 18)
+                .style('font-size', '11px')
+                .text(p.name);
+        });
+    }
+    
+    // "n of N countries shown" under a chart. Countries in `candidates` with no record in `shown`
+    // are counted against the requirements their most complete record fails.
+    updateCoverageNote(index, candidates, shown, requirements, imputed = []) {
+        const note = document.getElementById(`coverage-note-${index}`);
+        if (!note) return;
+        
+        const shownCodes = new Set(shown.map(d => d.country_code));
+        const excluded = d3.groups(candidates.filter(d => !shownCodes.has(d.country_code)), d => d.country_code);
+        const missing = new Map(requirements.map(requirement => [requirement.name, 0]));
+        excluded.forEach(([, records]) => {
+            const failed = d => requirements.filter(requirement => !requirement.met(d));
+            failed(d3.least(records, d => failed(d).length)).forEach(requirement => {
+                missing.set(requirement.name, missing.get(requirement.name) + 1);
+            });
+        });
+        
+        const reasons = [...missing].filter(([, count]) => count).sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => t('coverage.missing', { count, name }));
+        const imputedCountries = new Set(imputed.map(d => d.country_code)).size;
+        note.textContent = t('coverage.shown', { shown: d3.format(',')(shownCodes.size), count: shownCodes.size + excluded.length }) +
+            (excluded.length ? ` · ${t('coverage.excluded', { count: excluded.length, reasons: reasons.join(', ') })}` : '') +
+            (imputedCountries ? ` · ${t('coverage.imputed', { count: imputedCountries })}` : '');
+    }
+    
+    // Large labelled bubbles, one per aggregate record; returns the circles for tooltips
+    renderAggregates(layer, aggregates, key, showYear, xScale, yScale, xField, yField, radius, color, duration, ease) {
+        const groups = layer.selectAll('.aggregate')
+            .data(aggregates, key);
+        
+        groups.exit()
+            .transition()
+            .duration(duration / 2)
+            .ease(ease)
             .attr('opacity', 0)
             .remove();
         
-        const allCircles = circlesEnter.merge(circles);
+        const groupsEnter = groups.enter()
+            .append('g')
+            .attr('class', 'aggregate')
+            .attr('transform', d => `translate(${xScale(d[xField])},${yScale(d[yField])})`)
+            .attr('opacity', 0);
         
-        // Add trend line
-        this.addTrendLine(container, data, educationMetric, 'hiv_incidence_rate', xScale, yScale);
+        groupsEnter.append('circle')
+            .attr('class', 'aggregate-circle')
+            .attr('r', 0)
+            .attr('stroke', this.theme.ink)
+            .attr('stroke-width', 1.5)
+            .style('cursor', 'pointer');
         
-        // Add interactivity
-        this.addTooltip(allCircles, d => `
-            <strong>${d.country_name}</strong><br/>
-            ${xLabel}: ${(d[educationMetric] || 0).toFixed(1)}%<br/>
-            HIV Rate: ${(d.hiv_incidence_rate || 0).toFixed(2)} per 1,000<br/>
-            Population: ${(d.total_population || 0).toLocaleString()}<br/>
-            Income: $${(d.income_per_capita || 0).toLocaleString()}<br/>
-            Region: ${d.region}
-        `);
+        groupsEnter.append('text')
+            .attr('class', 'aggregate-label')
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('fill', this.theme.ink)
+            .style('paint-order', 'stroke')
+            .style('stroke', this.theme.halo)
+            .style('stroke-width', '3px')
+            .style('pointer-events', 'none');
         
-        // Add crosshair lines with axis values
-        this.addCrosshair(allCircles, container, xScale, yScale, educationMetric, 'hiv_incidence_rate');
+        const merged = groupsEnter.merge(groups);
         
-        // Add income legend for consistency across scenes
-        this.addIncomeLegend(container, 'scene2');
+        merged.transition()
+            .duration(duration)
+            .ease(ease)
+            .attr('transform', d => `translate(${xScale(d[xField])},${yScale(d[yField])})`)
+            .attr('opacity', 1);
+        
+        // select() hands each group's new datum down to its circle and label
+        merged.select('.aggregate-label')
+            .text(d => showYear ? `${d.country_name} ${d.year}` : d.country_name)
+            .transition()
+            .duration(duration)
+            .ease(ease)
+            .attr('y', d => -radius(d) - 6);
+        
+        return merged.select('.aggregate-circle')
+            .call(circles => circles.transition()
+                .duration(duration)
+                .ease(ease)
+                .attr('r', radius)
+                .attr('fill', color)
+                .attr('fill-opacity', 0.85));
+    }
+    
+    // Pinned, story-highlighted and brushed countries stand out, everything else fades back while there are any
+    pointOpacity(d) {
+        if (!this.pinnedCountries.size && !this.highlighted.size && !this.selectedCountries.size) return 0.7;
+        return this.isPinned(d.country_code) || this.selectedCountries.has(d.country_code) ? 0.95 : 0.15;
+    }
+    
+    // Countries drawn as pinned: the user's pins and the current story step's highlights
+    isPinned(code) {
+        return this.pinnedCountries.has(code) || this.highlighted.has(code);
     }
     
-    // Scene 3: Behavioral Impact
-    renderScene3() {
-        const sceneId = 'scene-3';
-        const svgId = 'viz-3';
+    // Drag a rectangle over a chart to select the countries inside it; the selection is shared by
+    // every scene. positions(d) gives the [x, y] of each of a record's points. A click clears it.
+    addBrush(layer, data, positions) {
+        const brush = d3.brush()
+            .extent([[0, 0], [this.width, this.height]])
+            .filter(event => !event.ctrlKey && !event.button && !event.shiftKey) // Shift-drag pans instead
+            .on('end', event => {
+                if (!event.sourceEvent) return; // Our own brush.move below
+                if (!event.selection) {
+                    if (this.selectedCountries.size) this.selectCountries([]);
+                    return;
+                }
+                
+                const [[x0, y0], [x1, y1]] = event.selection;
+                const inside = d => positions(d).some(([x, y]) => x >= x0 && x <= x1 && y >= y0 && y <= y1);
+                layer.call(brush.move, null);
+                this.selectCountries(data.filter(inside).map(d => d.country_code));
+            });
         
-        this.hideLoading(sceneId);
+        layer.call(brush);
+    }
+    
+    selectCountries(codes) {
+        this.selectedCountries = new Set(codes);
+        this.updateUrl();
+        this.renderCurrentScene();
+    }
+    
+    // Count, population and mean values of the brushed countries in a scene, each mean next to the
+    // mean over every country the scene shows
+    updateSelectionSummary(index, fields) {
+        const summary = d3.select(`#selection-summary-${index}`);
+        summary.selectAll('*').remove();
+        summary.property('hidden', !this.selectedCountries.size);
+        if (!this.selectedCountries.size) return;
         
-
+        // One record per country: the latest year when a scene shows several
+        const shown = d3.groups(this.plotted[index] || [], d => d.country_code)
+            .map(([, records]) => d3.greatest(records, d => d.year));
+        const selected = shown.filter(d => this.selectedCountries.has(d.country_code));
+        const means = [...new Set(['hiv_incidence_rate', ...fields])]
+            .filter(field => !FIELDS[field].categorical && !FIELDS[field].total);
         
-        // Filter data for condom use data - aggregate across 2010+ for better coverage
-        let filteredData = this.data.filter(d => 
-            d.condom_use_average !== null && 
-            d.adult_literacy_rate !== null &&
-            d.year >= 2010 // Focus on decade with better data availability
-        );
+        const count = this.selectedCountries.size;
+        summary.append('strong')
+            .text(t('selection.count', { count }) +
+                (selected.length < count ? ` (${t('selection.inChart', { shown: d3.format(',')(selected.length) })})` : ''));
+        means.forEach(field => {
+            summary.append('span')
+                .text(t('selection.mean', { name: fieldText(field, 'name'), value: this.formatValue(field, d3.mean(selected, d => d[field])) }))
+                .append('span')
+                .attr('class', 'selection-baseline')
+                .text(` (${t('selection.baseline', { total: d3.format(',')(shown.length), value: this.formatValue(field, d3.mean(shown, d => d[field])) })})`);
+        });
+        if (selected.length) {
+            summary.append('span')
+                .text(this.tooltipLine('total_population', FIELDS.total_population.format(d3.sum(selected, d => d.total_population))));
+        }
+        summary.append('button')
+            .attr('type', 'button')
+            .attr('class', 'selection-clear')
+            .text(t('selection.clear'))
+            .on('click', () => this.selectCountries([]));
+    }
+    
+    highlightPinned(circles, layer, x, y, radius, duration) {
+        const pinned = d => this.isPinned(d.country_code);
         
-
+        circles
+            .classed('pinned', pinned)
+            .attr('stroke', d => pinned(d) ? this.theme.ink : this.theme.halo)
+            .attr('stroke-width', d => pinned(d) ? 2 : 1);
+        circles.filter(pinned).raise();
         
-        const data = filteredData;
+        this.markMissingPinned(new Set(circles.data().map(d => d.country_code)));
         
-        // Remove previous visualization
-        d3.select(`#${svgId}`).selectAll('*').remove();
+        // Label one point per country (the latest year when a scene shows several)
+        const labelled = d3.groups(circles.data().filter(pinned), d => d.country_code)
+            .map(([, records]) => records.reduce((a, b) => (b.year > a.year ? b : a)));
         
-        if (data.length === 0) {
-            const svg = d3.select(`#${svgId}`);
-            svg.append('text')
-                .attr('x', '50%')
-                .attr('y', '50%')
-                .attr('text-anchor', 'middle')
-                .style('font-size', '16px')
-                .style('fill', '#6b7280')
-                .text('Limited behavioral data available');
-            return;
-        }
+        const labels = layer.selectAll('.pinned-label')
+            .data(labelled, d => d.country_code);
         
-        const svg = d3.select(`#${svgId}`);
-        const container = svg.append('g')
-            .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+        labels.exit().remove();
+        
+        labels.enter()
+            .append('text')
+            .attr('class', 'pinned-label')
+            .attr('x', d => x(d) + radius(d) + 4)
+            .attr('y', d => y(d) + 4)
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('fill', this.theme.ink)
+            .style('paint-order', 'stroke')
+            .style('stroke', this.theme.halo)
+            .style('stroke-width', '3px')
+            .style('pointer-events', 'none')
+            .text(d => d.country_name)
+            .merge(labels)
+            .transition()
+            .duration(duration)
+            .attr('x', d => x(d) + radius(d) + 4)
+            .attr('y', d => y(d) + 4);
+    }
+    
+    // Tell the user when a pinned country has no data in the current view
+    markMissingPinned(shown) {
+        document.querySelectorAll('.pinned-chip').forEach(chip => {
+            const missing = !shown.has(chip.dataset.code);
+            chip.classList.toggle('missing', missing);
+            chip.title = missing ? t('search.missing') : '';
+        });
+    }
+    
+    // Draw each country's earlier positions as a path that fades with age
+    addTrails(layer, data, history, year, xScale, yScale, xField, yField, color) {
+        const visible = new Set(data.map(d => d.country_code));
+        const firstYear = d3.min(history, d => d.year);
+        const age = d3.scaleLinear().domain([firstYear, year]).range([0.05, 0.6]);
         
-        // Set up scales
-        const xScale = d3.scaleLinear()
-            .domain(d3.extent(data, d => d.adult_literacy_rate))
-            .range([0, this.width]);
+        const segments = [];
+        d3.groups(history.filter(d => visible.has(d.country_code) && d.year <= year), d => d.country_code)
+            .forEach(([, records]) => {
+                records.sort((a, b) => a.year - b.year);
+                for (let i = 1; i < records.length; i++) {
+                    segments.push({ from: records[i - 1], to: records[i] });
+                }
+            });
+        
+        layer.selectAll('.trail-segment')
+            .data(segments)
+            .enter()
+            .append('line')
+            .attr('class', 'trail-segment')
+            .attr('x1', d => xScale(d.from[xField]))
+            .attr('y1', d => yScale(d.from[yField]))
+            .attr('x2', d => xScale(d.to[xField]))
+            .attr('y2', d => yScale(d.to[yField]))
+            .attr('stroke', d => color(d.to))
+            .attr('stroke-width', 1.5)
+            .attr('stroke-linecap', 'round')
+            .attr('opacity', d => age(d.to.year));
+    }
+    
+    addAxes(layer, encoding, xScale, yScale, frame, duration) {
+        const transition = layer.transition().duration(duration).ease(this.transitionEase);
+        const axisGroup = name => {
+            let group = layer.select(`.${name}`);
+            if (group.empty()) group = layer.append('g').attr('class', name);
+            return group;
+        };
         
-        const yScale = d3.scaleLinear()
-            .domain(d3.extent(data, d => d.condom_use_average))
-            .range([this.height, 0]);
+        const xAxis = this.configureTicks(d3.axisBottom(xScale), encoding.x, xScale, this.width);
         
-        const rScale = d3.scaleSqrt()
-            .domain(d3.extent(data, d => d.total_population || 1000000))
-            .range([4, 20]);
+        const xGroup = axisGroup('x-axis').attr('transform', `translate(0,${this.height})`);
+        xGroup.transition(transition).call(xAxis);
         
-        // Add axes
-        container.append('g')
-            .attr('transform', `translate(0,${this.height})`)
-            .call(d3.axisBottom(xScale))
-            .append('text')
+        const xTicks = xGroup.selectAll('text')
+            .style('font-size', '10px');
+        
+        if (encoding.x.rotateTicks) {
+            xTicks
+                .attr('transform', 'rotate(-45)')
+                .style('text-anchor', 'end');
+        }
+        
+        // Add x-axis label
+        axisGroup('x-label')
+            .selectAll('text')
+            .data([this.axisLabel(encoding.x)])
+            .join('text')
             .attr('x', this.width / 2)
-            .attr('y', 40)
-            .attr('fill', 'black')
+            .attr('y', this.height + (encoding.x.rotateTicks ? 55 : 40))
+            .attr('fill', this.theme.ink)
             .style('text-anchor', 'middle')
             .style('font-weight', '500')
-            .text('Adult Literacy Rate (%)');
+            .style('font-size', '12px')
+            .text(d => d);
         
-        container.append('g')
-            .call(d3.axisLeft(yScale))
-            .append('text')
+        const yAxis = this.configureTicks(d3.axisLeft(yScale), encoding.y, yScale, this.height);
+        
+        const yGroup = axisGroup('y-axis');
+        yGroup.transition(transition).call(yAxis);
+        yGroup.selectAll('text')
+            .style('font-size', '11px');
+        
+        // Add y-axis label
+        axisGroup('y-label')
+            .selectAll('text')
+            .data([this.axisLabel(encoding.y)])
+            .join('text')
             .attr('transform', 'rotate(-90)')
-            .attr('y', -50)
+            .attr('y', 30 - this.margin.left)
             .attr('x', -this.height / 2)
-            .attr('fill', 'black')
+            .attr('fill', this.theme.ink)
             .style('text-anchor', 'middle')
             .style('font-weight', '500')
-            .text('Condom Use Rate (%)');
+            .style('font-size', '12px')
+            .text(d => d);
         
-        // Add top and right axes for complete frame (matching Scene 1)
-        container.append('g')
-            .call(d3.axisTop(xScale).tickSize(0).tickFormat(''))
-            .selectAll('path')
-            .style('stroke', '#000');
+        if (frame) {
+            // Add top and right axes for complete frame
+            axisGroup('frame-top')
+                .call(d3.axisTop(xScale).tickSize(0).tickFormat(''))
+                .selectAll('path')
+                .style('stroke', this.theme.ink);
             
-        container.append('g')
-            .attr('transform', `translate(${this.width},0)`)
-            .call(d3.axisRight(yScale).tickSize(0).tickFormat(''))
-            .selectAll('path')
-            .style('stroke', '#000');
+            axisGroup('frame-right')
+                .attr('transform', `translate(${this.width},0)`)
+                .call(d3.axisRight(yScale).tickSize(0).tickFormat(''))
+                .selectAll('path')
+                .style('stroke', this.theme.ink);
+        }
+    }
+    
+    axisLabel(axis) {
+        const suffix = SCALE_SUFFIXES[axis.scale] ? t(`scale.${axis.scale}`, {}, SCALE_SUFFIXES[axis.scale]) : '';
+        return axis.label || fieldLabel(axis.field) + suffix;
+    }
+    
+    // Tick values and labels for an axis, using the field's formatter.
+    // Tick density follows the axis length in pixels.
+    configureTicks(axisGenerator, axis, scale, length) {
+        const tick = FIELDS[axis.field].tick;
+        const count = axis.ticks || this.tickCount(length);
         
-        // Add circles with transitions
-        const circles = container.selectAll('.country-circle')
-            .data(data, d => `${d.country_code || d.country_name}_${d.year}`);
+        // Fixed tick values, limited to the current domain so clamped ticks don't pile up at the edges
+        const [lo, hi] = d3.extent(scale.domain());
+        const values = (axis.tickValues || []).filter(v => v >= lo && v <= hi);
         
-        // Handle entering circles
-        const circlesEnter = circles.enter()
-            .append('circle')
-            .attr('class', 'country-circle')
-            .attr('cx', d => xScale(d.adult_literacy_rate))
-            .attr('cy', d => yScale(d.condom_use_average))
-            .attr('r', 0)
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('stroke', '#fff')
-            .attr('stroke-width', 1)
-            .attr('opacity', 0)
-            .style('cursor', 'pointer');
+        if (values.length >= 2) {
+            // Thinned out when there are more than fit; zoomed in past them, the scale's own ticks take over
+            const step = Math.ceil(values.length / Math.max(count, 2));
+            axisGenerator.tickValues(values.filter((v, i) => i % step === 0));
+            if (tick) axisGenerator.tickFormat(tick);
+        } else if (axis.scale === 'log') {
+            // Log scales label only the "nice" ticks in each decade
+            const logCount = Math.min(count, 6);
+            axisGenerator.ticks(logCount).tickFormat(scale.tickFormat(logCount, tick || d3.format('~s')));
+        } else {
+            axisGenerator.ticks(count);
+            if (tick) axisGenerator.tickFormat(tick);
+        }
         
-        // Animate entering circles
-        circlesEnter.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .delay((d, i) => i * 10)
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('opacity', 0.7);
+        return axisGenerator;
+    }
+    
+    // Milliseconds between years at the speed chosen for a scene
+    playbackInterval(index) {
+        const speed = parseFloat(document.getElementById(`speed-select-${index}`)?.value) || 1;
+        return 1200 / speed;
+    }
+    
+    // Step the year slider of a scene through this.years until the last year
+    togglePlayback(index) {
+        if (this.playback.timer) {
+            this.stopPlayback();
+            return;
+        }
         
-        // Handle updating circles
-        circles.transition()
-            .duration(this.transitionDuration)
-            .ease(this.transitionEase)
-            .attr('cx', d => xScale(d.adult_literacy_rate))
-            .attr('cy', d => yScale(d.condom_use_average))
-            .attr('r', d => rScale(d.total_population || 1000000))
-            .attr('fill', d => this.colors.income(d.income_group))
-            .attr('opacity', 0.7);
+        const slider = document.getElementById(`year-slider-${index}`);
+        const years = [...this.years].sort((a, b) => a - b);
         
-        // Handle exiting circles
-        circles.exit()
-            .transition()
-            .duration(this.transitionDuration / 2)
-            .ease(this.transitionEase)
-            .attr('r', 0)
-            .attr('opacity', 0)
-            .remove();
+        // Restart from the first year when playback is started at the end
+        if (parseInt(slider.value) >= years[years.length - 1]) {
+            this.setYear(index, years[0]);
+        }
         
-        const allCircles = circlesEnter.merge(circles);
+        this.playback.scene = index;
+        this.playback.timer = d3.interval(() => {
+            const next = years.find(year => year > parseInt(slider.value));
+            if (next === undefined) {
+                this.stopPlayback();
+                return;
+            }
+            this.setYear(index, next);
+        }, this.playbackInterval(index));
         
-        // Add trend line
-        this.addTrendLine(container, data, 'adult_literacy_rate', 'condom_use_average', xScale, yScale);
+        this.updatePlayButton();
+    }
+    
+    stopPlayback() {
+        if (!this.playback.timer) return;
         
-        // Add interactivity
-        this.addTooltip(allCircles, d => `
-            <strong>${d.country_name}</strong><br/>
-            Literacy Rate: ${(d.adult_literacy_rate || 0).toFixed(1)}%<br/>
-            Condom Use: ${(d.condom_use_average || 0).toFixed(1)}%<br/>
-            Population: ${(d.total_population || 0).toLocaleString()}<br/>
-            Income Group: ${d.income_group}<br/>
-            Year: ${d.year}
-        `);
+        this.playback.timer.stop();
+        this.playback.timer = null;
+        this.updatePlayButton();
         
-        // Add crosshair lines with axis values
-        this.addCrosshair(allCircles, container, xScale, yScale, 'adult_literacy_rate', 'condom_use_average');
+        // Settle back into the regular, eased rendering
+        this.renderCurrentScene();
+    }
+    
+    setYear(index, year) {
+        document.getElementById(`year-slider-${index}`).value = year;
+        document.getElementById(`year-display-${index}`).textContent = year;
+        this.updateUrl();
+        this.renderCurrentScene();
+    }
+    
+    updatePlayButton() {
+        document.querySelectorAll('.play-button').forEach(button => {
+            const playing = this.playback.timer && this.playback.scene === parseInt(button.dataset.scene);
+            button.textContent = t(playing ? 'control.pause' : 'control.play');
+            button.setAttribute('aria-pressed', playing ? 'true' : 'false');
+        });
+    }
+    
+    // Save a scene's chart ('svg' | 'png') or the records it plotted ('csv' | 'json')
+    exportScene(index, format) {
+        const filename = `${this.exportFileName(index)}.${format}`;
+        
+        if (format === 'svg') {
+            this.downloadBlob(new Blob([this.sceneSvgMarkup(index)], { type: 'image/svg+xml' }), filename);
+        } else if (format === 'png') {
+            this.exportPng(index, filename).catch(error => this.showError(t('error.png', { message: error.message })));
+        } else {
+            const rows = (this.plotted[index] || []).map(d => {
+                const row = Object.fromEntries(EXPORT_COLUMNS.map(column => [column, d[column] ?? null]));
+                if (d.imputed) row.imputed = d.imputed.join(' ');
+                return row;
+            });
+            const columns = rows.some(row => row.imputed) ? [...EXPORT_COLUMNS, 'imputed'] : EXPORT_COLUMNS;
+            const text = format === 'csv' ? d3.csvFormat(rows, columns) : JSON.stringify(rows, null, 2);
+            this.downloadBlob(new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }), filename);
+        }
+    }
+    
+    // e.g. "scene-2-the-education-factor_2012_x-adult_literacy_rate_trend-loess": the scene, its year
+    // (or year span) and every control that differs from its default
+    exportFileName(index) {
+        const scene = this.scenes[index - 1];
+        const slug = value => String(value).toLowerCase().replace(/[^a-z0-9_]+/g, '-').replace(/^-|-$/g, '');
+        const filters = this.getSceneFilters(scene, index);
+        const years = d3.extent(this.plotted[index] || [], d => d.year);
+        
+        const parts = [`scene-${index}-${slug(scene.title)}`];
+        parts.push(filters.year || (years[0] === years[1] ? years[0] : years.join('-')));
+        document.getElementById(`scene-${index}`).querySelectorAll(URL_CONTROLS).forEach(control => {
+            if (control.type === 'range' || controlValue(control) === control.dataset.default) return;
+            
+            const name = control.id.replace(`-${index}`, '').replace(/-(select|field|toggle)$/, '');
+            parts.push(control.type === 'checkbox' ? (control.checked ? name : `no-${name}`) : `${name}-${slug(control.value)}`);
+        });
+        return parts.filter(part => part !== undefined && part !== '').join('_');
+    }
+    
+    // The scene's chart as standalone SVG markup, with computed styles inlined
+    // so it looks the same outside the page
+    sceneSvgMarkup(index) {
+        const svg = document.getElementById(`viz-${index}`);
+        const clone = svg.cloneNode(true);
+        
+        const source = [svg, ...svg.querySelectorAll('*')];
+        const target = [clone, ...clone.querySelectorAll('*')];
+        source.forEach((element, i) => {
+            const computed = getComputedStyle(element);
+            target[i].setAttribute('style', EXPORT_STYLES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value)
+                .map(([property, value]) => `${property}:${value}`)
+                .join(';'));
+        });
+        
+        // The page background behind the chart comes from CSS on the <svg> itself
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', getComputedStyle(svg).backgroundColor || '#fff');
+        clone.insertBefore(background, clone.firstChild);
         
-        // Add income legend
-        this.addIncomeLegend(container, 'scene3');
+        clone.setAttribute('width', this.width + this.margin.left + this.margin.right);
+        clone.setAttribute('height', this.height + this.margin.top + this.margin.bottom);
+        return new XMLSerializer().serializeToString(clone);
+    }
+    
+    // Rasterize the exported SVG at twice the screen resolution (or more on high-DPI screens)
+    async exportPng(index, filename) {
+        const width = this.width + this.margin.left + this.margin.right;
+        const height = this.height + this.margin.top + this.margin.bottom;
+        const scale = Math.max(2, window.devicePixelRatio || 1);
+        
+        const url = URL.createObjectURL(new Blob([this.sceneSvgMarkup(index)], { type: 'image/svg+xml' }));
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error(t('error.pngImage')));
+                image.src = url;
+            });
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            this.downloadBlob(blob, filename);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // A value as tooltip and table HTML, escaped; pass the record to flag values filled in by gap filling
+    formatValue(field, value, record = null) {
+        if (value === null || value === undefined) return t('value.na');
+        const imputed = record && record.imputed && record.imputed.includes(field);
+        return escapeHtml(FIELDS[field].format(value)) + (imputed ? ` <em>${t('value.imputed')}</em>` : '');
+    }
+    
+    // "Name: value" line of a tooltip or summary
+    tooltipLine(field, value) {
+        return t('tooltip.value', { name: fieldText(field, 'name'), value });
     }
     
     // Utility functions
@@ -790,7 +4179,7 @@ class NarrativeVisualization {
         if (svg) svg.style.display = 'block';
     }
     
-    addTooltip(selection, contentFn) {
+    addTooltip(selection, contentFn, labelFn = d => d.country_name) {
         const tooltip = d3.select('#tooltip');
         
         selection
@@ -809,10 +4198,111 @@ class NarrativeVisualization {
             .on('mouseout', function() {
                 tooltip.style('opacity', 0);
             });
+        
+        this.addKeyboardNavigation(selection, labelFn);
+    }
+    
+    // Roving focus over a set of marks: one Tab stop, arrow keys move between marks from left to right,
+    // Home/End jump to the ends and Enter acts as a click. Focusing a mark replays its mouseover, so the
+    // tooltip and crosshair follow the keyboard, and the tooltip is read out through the live region.
+    addKeyboardNavigation(selection, labelFn) {
+        const viz = this;
+        const nodes = selection.nodes();
+        const centerX = node => {
+            const box = node.getBBox();
+            return box.x + box.width / 2;
+        };
+        const ordered = () => nodes
+            .filter(node => node.isConnected && node.style.display !== 'none')
+            .sort((a, b) => centerX(a) - centerX(b));
+        const replay = (node, type) => {
+            const rect = node.getBoundingClientRect();
+            node.dispatchEvent(new MouseEvent(type, { clientX: rect.right, clientY: rect.top + rect.height / 2 }));
+        };
+        
+        // Keep the Tab stop on the focused mark across re-renders
+        const stop = nodes.includes(document.activeElement) ? document.activeElement : ordered()[0];
+        selection
+            .attr('tabindex', function() { return this === stop ? 0 : -1; })
+            .attr('role', 'img')
+            .attr('aria-label', labelFn)
+            .on('focus.keyboard', function() {
+                nodes.forEach(node => node.setAttribute('tabindex', node === this ? 0 : -1));
+                replay(this, 'mouseover');
+                
+                // Line breaks become sentence breaks when the tooltip is read out
+                const text = document.createElement('div');
+                text.innerHTML = document.getElementById('tooltip').innerHTML.replace(/<br\s*\/?>/gi, '. ');
+                viz.announce(text.textContent.replace(/\s+/g, ' ').trim());
+            })
+            .on('blur.keyboard', function() {
+                replay(this, 'mouseout');
+            })
+            .on('keydown.keyboard', function(event) {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.dispatchEvent(new MouseEvent('click'));
+                    return;
+                }
+                
+                const order = ordered();
+                const position = order.indexOf(this);
+                const target = {
+                    ArrowRight: position + 1,
+                    ArrowDown: position + 1,
+                    ArrowLeft: position - 1,
+                    ArrowUp: position - 1,
+                    Home: 0,
+                    End: order.length - 1
+                }[event.key];
+                if (target === undefined) return;
+                
+                // Handled here even at either end, so the arrow keys never change the scene from a chart
+                event.preventDefault();
+                order[Math.min(Math.max(target, 0), order.length - 1)].focus();
+            });
+    }
+    
+    // Read a message out to screen readers through the page's aria-live region
+    announce(message) {
+        const region = document.getElementById('chart-announcer');
+        if (region) region.textContent = message;
+    }
+    
+    // Screen-reader alternative to a chart: the plotted records and fields as a visually hidden table
+    updateDataTable(index, fields) {
+        const data = this.plotted[index] || [];
+        const years = [...new Set(data.map(d => d.year))].sort();
+        const columns = ['country_name', ...(years.length > 1 ? ['year'] : []), ...fields.filter(field => field !== 'year')];
+        const table = d3.select(`#data-table-${index}`);
+        table.selectAll('*').remove();
+        
+        table.append('caption')
+            .text(t(years.length === 1 ? 'table.captionYear' : 'table.caption', 
+                { title: this.scenes[index - 1].title, count: data.length, year: years[0] }));
+        table.append('thead').append('tr')
+            .selectAll('th')
+            .data(columns)
+            .join('th')
+            .attr('scope', 'col')
+            .text(column => column === 'country_name' ? t('table.country') : fieldLabel(column));
+        
+        const rows = table.append('tbody')
+            .selectAll('tr')
+            .data(data)
+            .join('tr');
+        rows.append('th')
+            .attr('scope', 'row')
+            .text(d => d.country_name);
+        rows.selectAll('td')
+            .data(d => columns.slice(1).map(column => this.formatValue(column, d[column], d)))
+            .join('td')
+            .html(value => value);
     }
     
     addCrosshair(selection, container, xScale, yScale, xField, yField) {
-        const height = this.height; // Capture height in closure
+        const height = this.height; // Capture height and color in closure
+        const crosshairColor = this.theme.crosshair;
         
         selection
             .on('mouseover.crosshair', function(event, d) {
@@ -831,7 +4321,7 @@ class NarrativeVisualization {
                     .attr('y1', y)
                     .attr('x2', x)
                     .attr('y2', y)
-                    .attr('stroke', '#dc2626')
+                    .attr('stroke', crosshairColor)
                     .attr('stroke-width', 1)
                     .attr('stroke-dasharray', '4,4')
                     .attr('opacity', 0.8);
@@ -843,39 +4333,33 @@ class NarrativeVisualization {
                     .attr('y1', y)
                     .attr('x2', x)
                     .attr('y2', height)
-                    .attr('stroke', '#dc2626')
+                    .attr('stroke', crosshairColor)
                     .attr('stroke-width', 1)
                     .attr('stroke-dasharray', '4,4')
                     .attr('opacity', 0.8);
                 
                 // Add x-value text on x-axis
-                const xText = xField === 'income_per_capita' ? 
-                    (xValue >= 10000 ? `$${Math.round(xValue/1000)}k` : 
-                     xValue >= 1000 ? `$${(xValue/1000).toFixed(1)}k` : 
-                     `$${Math.round(xValue)}`) :
-                    `${xValue.toFixed(1)}%`;
+                const xText = FIELDS[xField].short(xValue);
                 
                 container.append('text')
                     .attr('class', 'crosshair-text')
                     .attr('x', x)
                     .attr('y', height + 15)
                     .attr('text-anchor', 'middle')
-                    .style('fill', '#dc2626')
+                    .style('fill', crosshairColor)
                     .style('font-weight', 'bold')
                     .style('font-size', '11px')
                     .text(xText);
                 
                 // Add y-value text on y-axis  
-                const yText = yField === 'hiv_incidence_rate' ? 
-                    yValue.toFixed(1) : 
-                    yValue.toFixed(1);
+                const yText = FIELDS[yField].short(yValue);
                 
                 container.append('text')
                     .attr('class', 'crosshair-text')
                     .attr('x', -8)
                     .attr('y', y + 3)
                     .attr('text-anchor', 'end')
-                    .style('fill', '#dc2626')
+                    .style('fill', crosshairColor)
                     .style('font-weight', 'bold')
                     .style('font-size', '11px')
                     .text(yText);
@@ -887,233 +4371,396 @@ class NarrativeVisualization {
     }
     
     
-    addTrendLine(container, data, xField, yField, xScale, yScale) {
-        // Simple linear regression
-        const validData = data.filter(d => d[xField] !== null && d[yField] !== null);
-        if (validData.length < 3) return;
+    // Fit yField on xField, draw the curve with its 95% confidence band and return
+    // { n, r, rho, r2, method, weighted } (null when there are fewer than 3 points).
+    // options.method: 'linear' | 'logx' | 'loess'; options.weighted weights points by total_population;
+    // options.logAxis makes LOESS smooth in log space to match a log x axis; options.yDomain (default: the
+    // y scale's) bounds the line and band, so a zoomed chart still shows them leaving the plot.
+    addTrendLine(container, data, xField, yField, xScale, yScale, color = this.theme.trend, options = {}) {
+        const method = options.method || 'linear';
+        const logSpace = method === 'logx' || (method === 'loess' && options.logAxis);
+        const validData = data.filter(d => 
+            d[xField] !== null && d[yField] !== null &&
+            (!logSpace || d[xField] > 0) &&
+            (!options.weighted || d.total_population > 0)
+        );
+        if (validData.length < 3) return null;
         
-        const xMean = d3.mean(validData, d => d[xField]);
-        const yMean = d3.mean(validData, d => d[yField]);
+        const toU = logSpace ? Math.log10 : x => x;
+        const fromU = logSpace ? u => 10 ** u : u => u;
+        const points = validData.map(d => ({
+            u: toU(d[xField]),
+            y: d[yField],
+            w: options.weighted ? d.total_population : 1
+        }));
+        if (d3.extent(points, p => p.u).reduce((a, b) => b - a) === 0) return null;
         
-        let numerator = 0;
-        let denominator = 0;
+        const fit = method === 'loess' ? fitLoess(points) : fitLinear(points);
+        const tCrit = tCritical95(fit.df);
         
-        validData.forEach(d => {
-            const xDiff = d[xField] - xMean;
-            const yDiff = d[yField] - yMean;
-            numerator += xDiff * yDiff;
-            denominator += xDiff * xDiff;
+        // Create line points - evenly spaced in fit space so the curve is smooth on any axis scale
+        const uExtent = d3.extent(points, p => p.u);
+        const [yMin, yMax] = d3.extent(options.yDomain || yScale.domain());
+        const clampY = y => Math.min(Math.max(y, yMin), yMax);
+        const numPoints = 50;
+        const lineData = d3.range(numPoints + 1).map(i => {
+            const u = uExtent[0] + (uExtent[1] - uExtent[0]) * (i / numPoints);
+            const y = fit.predict(u);
+            const margin = tCrit * fit.se(u);
+            return { x: fromU(u), y: clampY(y), lower: clampY(y - margin), upper: clampY(y + margin) };
         });
         
-        const slope = numerator / denominator;
-        const intercept = yMean - slope * xMean;
-        
-        // Create line points - use many points to properly show curve on transformed scale
-        const xExtent = d3.extent(validData, d => d[xField]);
-        const lineData = [];
-        const numPoints = 50; // Create 50 points for smooth curve
-        
-        for (let i = 0; i <= numPoints; i++) {
-            const x = xExtent[0] + (xExtent[1] - xExtent[0]) * (i / numPoints);
-            const y = slope * x + intercept;
-            lineData.push({ x: x, y: y });
-        }
-        
-        // Create path generator for smooth curve
-        const line = d3.line()
-            .x(d => xScale(d.x))
-            .y(d => yScale(d.y))
-            .curve(d3.curveLinear);
+        // 95% confidence band for the fitted mean
+        container.append('path')
+            .datum(lineData.filter(d => isFinite(d.lower) && isFinite(d.upper)))
+            .attr('class', 'trend-band')
+            .attr('d', d3.area()
+                .x(d => xScale(d.x))
+                .y0(d => yScale(d.lower))
+                .y1(d => yScale(d.upper)))
+            .attr('fill', color)
+            .attr('opacity', 0.12);
         
         // Add trend line as path (handles scale transformation properly)
         container.append('path')
             .datum(lineData)
-            .attr('d', line)
-            .attr('stroke', '#dc2626')
+            .attr('class', 'trend-line')
+            .attr('d', d3.line()
+                .x(d => xScale(d.x))
+                .y(d => yScale(d.y))
+                .curve(d3.curveLinear))
+            .attr('stroke', color)
             .attr('stroke-width', 2)
             .attr('stroke-dasharray', '5,5')
             .attr('fill', 'none')
             .attr('opacity', 0.7);
+        
+        return {
+            n: points.length,
+            r: weightedPearson(points.map(p => p.u), points.map(p => p.y), points.map(p => p.w)),
+            rho: weightedPearson(rankValues(points.map(p => p.u)), rankValues(points.map(p => p.y))),
+            r2: fit.r2,
+            method,
+            weighted: !!options.weighted
+        };
+    }
+    
+    // Summary box for the fitted trend lines: method, n, Pearson r, Spearman rho and R²
+    addTrendStats(container, fits, position = 'left') {
+        if (!fits.length) return;
+        
+        const box = container.append('g').attr('class', 'trend-stats');
+        const format = d3.format('.2f');
+        
+        fits.forEach((fit, i) => {
+            const { n, r, rho, r2, method, weighted } = fit.stats;
+            const text = box.append('text')
+                .attr('x', 8)
+                .attr('y', 16 + i * 16)
+                .style('font-size', '11px')
+                .style('fill', fit.color);
+            
+            text.append('tspan')
+                .style('font-weight', '600')
+                .text(`${fit.name ? `${fit.name} · ` : ''}${t(weighted ? 'trend.weighted' : 'trend.method', 
+                    { method: t(`trend.${method}`, {}, TREND_METHODS[method]) })}`);
+            text.append('tspan')
+                .style('fill', this.theme.ink)
+                .text(` · ${t('trend.stats', { count: n, r: format(r), rho: format(rho), r2: format(r2) })}`);
+        });
+        
+        const bbox = box.node().getBBox();
+        box.insert('rect', ':first-child')
+            .attr('width', bbox.width + 16)
+            .attr('height', fits.length * 16 + 10)
+            .attr('fill', this.theme.surface)
+            .attr('stroke', this.theme.grid)
+            .attr('opacity', 0.9)
+            .attr('rx', 4);
+        
+        box.attr('transform', this.legendTransform(position, bbox.width + 16));
+    }
+    
+    // Legends sit in the top left or right corner of the plot area, scaled down on narrow charts
+    legendTransform(position, legendWidth) {
+        const scale = this.width < 500 ? 0.75 : 1;
+        const x = position === 'left' ? 10 : this.width - legendWidth * scale - 5;
+        return `translate(${x}, 20) scale(${scale})`;
+    }
+    
+    addColorLegend(container, field, color, position = 'right', index = this.currentScene) {
+        if (field === 'region') {
+            this.addCategoryLegend(container, index, field, this.regions, 185, position);
+        } else if (FIELDS[field].categorical) {
+            // Highest income first
+            this.addCategoryLegend(container, index, field, [...KNOWN_INCOME_GROUPS].reverse(), 145, position);
+        } else {
+            this.addGradientLegend(container, field, color.scale, position);
+        }
     }
     
-    addIncomeLegend(container, scene) {
-        const legend = container.append('g');
-        if (scene === 'scene1') {
-            legend.attr('transform', `translate(${this.width - 150}, 20)`);
-        } else if (scene === 'scene3') {
-            legend.attr('transform', `translate(10, 20)`);
+    // The categories of a scene's color field that are switched off in its legend. Coloring by
+    // another field starts over with every category shown.
+    legendHidden(index, field) {
+        const state = this.legendState[index];
+        if (!state || (state.field && state.field !== field)) {
+            this.legendState[index] = { field, hidden: new Set() };
         } else {
-            legend.attr('transform', `translate(${this.width - 150}, 20)`);
+            state.field = field;
+        }
+        return this.legendState[index].hidden;
+    }
+    
+    // Legend for income groups or regions, drawn from the same color scale as the points. Click an entry
+    // (or press Enter) to switch its points off or on; double-click (Shift+Enter) to show only that entry,
+    // or everything again. Hovering or focusing an entry fades every other category.
+    addCategoryLegend(container, index, field, categories, width, position = 'right') {
+        const hidden = this.legendHidden(index, field);
+        const locked = this.inStory(index);
+        const color = field === 'region' ? this.colors.regions : this.colors.income;
+        
+        // Fade the other categories' points, bubbles, trails and median lines
+        const highlight = category => {
+            d3.select(`#viz-${index}`)
+                .selectAll('.country-circle, .aggregate-circle, .trail-segment, .median-series')
+                .classed('legend-dimmed', d => category !== null && (d.to || d)[field] !== category);
+        };
+        highlight(null);
+        
+        const legend = container.append('g')
+            .attr('class', 'category-legend')
+            .attr('transform', this.legendTransform(position, width));
+        
+        legend.append('rect')
+            .attr('width', width)
+            .attr('height', 30 + categories.length * 18)
+            .attr('fill', this.theme.surface)
+            .attr('stroke', this.theme.grid)
+            .attr('rx', 4);
+        
+        const update = () => {
+            this.updateUrl();
+            this.renderCurrentScene();
+        };
+        const toggle = category => {
+            if (locked) return;
+            if (hidden.has(category)) {
+                hidden.delete(category);
+            } else if (hidden.size < categories.length - 1) {
+                hidden.add(category);
+            }
+            update();
+        };
+        const isolate = category => {
+            if (locked) return;
+            const isolated = hidden.size === categories.length - 1 && !hidden.has(category);
+            hidden.clear();
+            if (!isolated) categories.filter(c => c !== category).forEach(c => hidden.add(c));
+            update();
+        };
+        
+        const entries = legend.selectAll('.legend-entry')
+            .data(categories)
+            .join('g')
+            .attr('class', 'legend-entry')
+            .attr('transform', (category, i) => `translate(0, ${i * 18})`)
+            .attr('tabindex', 0)
+            .attr('role', 'switch')
+            .attr('aria-checked', category => !hidden.has(category))
+            .attr('aria-disabled', locked || null)
+            .attr('aria-label', category => t(hidden.has(category) ? 'legend.hidden' : 'legend.shown', { category: categoryName(category) }))
+            .style('cursor', locked ? 'default' : 'pointer')
+            .style('opacity', category => hidden.has(category) ? 0.45 : 1);
+        
+        // Transparent hit area across the whole row
+        entries.append('rect')
+            .attr('x', 4)
+            .attr('y', 11)
+            .attr('width', width - 8)
+            .attr('height', 18)
+            .attr('fill', 'transparent');
+        
+        entries.append('circle')
+            .attr('cx', 15)
+            .attr('cy', 20)
+            .attr('r', 4)
+            .attr('fill', category => hidden.has(category) ? 'none' : color(category))
+            .attr('stroke', category => color(category))
+            .attr('stroke-width', 1.5);
+        
+        entries.append('text')
+            .attr('x', 25)
+            .attr('y', 24)
+            .style('font-size', '11px')
+            .style('text-decoration', category => hidden.has(category) ? 'line-through' : null)
+            .text(category => {
+                const name = categoryName(category);
+                return name.length > 28 ? name.substring(0, 25) + '...' : name;
+            });
+        
+        // A double click also fires two clicks, so single clicks wait to see if a second one follows
+        entries
+            .on('click', (event, category) => {
+                clearTimeout(this.legendClickTimer);
+                this.legendClickTimer = setTimeout(() => toggle(category), 250);
+            })
+            .on('dblclick', (event, category) => {
+                clearTimeout(this.legendClickTimer);
+                isolate(category);
+            })
+            .on('keydown', (event, category) => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                this.legendFocus = { index, category };
+                if (event.shiftKey) {
+                    isolate(category);
+                } else {
+                    toggle(category);
+                }
+            })
+            .on('mouseenter focus', (event, category) => highlight(hidden.has(category) ? null : category))
+            .on('mouseleave blur', () => highlight(null));
+        
+        legend.append('text')
+            .attr('x', 10)
+            .attr('y', 28 + categories.length * 18)
+            .style('font-size', '9px')
+            .style('fill', this.theme.muted)
+            .text(t(locked ? 'legend.locked' : 'legend.hint'));
+        
+        // Keep keyboard focus on the entry that was just toggled, now that the legend is redrawn
+        if (this.legendFocus && this.legendFocus.index === index) {
+            entries.filter(category => category === this.legendFocus.category).node()?.focus();
+            this.legendFocus = null;
         }
+    }
+    
+    addGradientLegend(container, field, scale, position = 'right') {
+        const width = 140;
+        const legend = container.append('g')
+            .attr('class', 'gradient-legend')
+            .attr('transform', this.legendTransform(position, width + 10));
         
         legend.append('rect')
-            .attr('width', 145)
-            .attr('height', 100)
-            .attr('fill', 'white')
-            .attr('stroke', '#e5e7eb')
+            .attr('width', width + 10)
+            .attr('height', 52)
+            .attr('fill', this.theme.surface)
+            .attr('stroke', this.theme.grid)
             .attr('rx', 4);
         
-        const incomeGroups = [
-            { name: 'High income', color: '#0ea5e9' },
-            { name: 'Upper middle income', color: '#059669'},
-            { name: 'Lower middle income', color: '#f59e0b' },
-            { name: 'Low income', color: '#dc2626' }
-        ];
+        legend.append('text')
+            .attr('x', 5)
+            .attr('y', 15)
+            .style('font-size', '11px')
+            .style('font-weight', '500')
+            .text(fieldText(field, 'name'));
         
-        incomeGroups.forEach((group, i) => {
-            legend.append('circle')
-                .attr('cx', 15)
-                .attr('cy', 20 + i * 18)
-                .attr('r', 4)
-                .attr('fill', group.color);
-            
+        const [lo, hi] = scale.domain();
+        const steps = d3.range(0, 1.0001, 0.1);
+        legend.selectAll('.gradient-step')
+            .data(steps.slice(0, -1))
+            .enter()
+            .append('rect')
+            .attr('class', 'gradient-step')
+            .attr('x', frac => 5 + frac * width)
+            .attr('y', 22)
+            .attr('width', width / 10 + 0.5)
+            .attr('height', 10)
+            .attr('fill', frac => scale.interpolator()(frac + 0.05));
+        
+        [lo, hi].forEach((value, i) => {
             legend.append('text')
-                .attr('x', 25)
-                .attr('y', 24 + i * 18)
-                .style('font-size', '11px')
-                .text(group.name.length > 20 ? group.name.substring(0, 17) + '...' : group.name);
+                .attr('x', i === 0 ? 5 : 5 + width)
+                .attr('y', 45)
+                .attr('text-anchor', i === 0 ? 'start' : 'end')
+                .style('font-size', '10px')
+                .style('fill', this.theme.muted)
+                .text(FIELDS[field].short(value));
         });
+        
+        return legend;
     }
     
-    addScene1Annotations(container, xScale, yScale, data) {
-        // First annotation: Upper middle income with high HIV
-        const upperMiddleIncomeHighHIV = data.filter(d => 
-            d.income_group === 'Upper middle income' && d.hiv_incidence_rate > 1.0
-        );
+    // Story annotations for the plotted records. Each note is placed by trying spots around its subject
+    // and keeping the one that stays inside the chart and covers the fewest points, subjects and earlier notes.
+    renderAnnotations(container, annotations, data, x, y, radius, color) {
+        const wrap = 150;
+        const resolved = annotations
+            .map(annotation => ({ annotation, d: resolveAnnotation(annotation, data) }))
+            .filter(({ d }) => d);
+        if (resolved.length === 0) return;
         
-        const southAfrica = data.find(d => 
-            d.country_name === 'South Africa' && d.hiv_incidence_rate !== null
-        );
+        // Subjects: a circle around the picked point, or a box around every record matching `where`
+        const subjects = resolved.map(({ annotation, d }) => {
+            const members = annotation.enclose ? data.filter(m => matchesWhere(m, annotation.where)) : [d];
+            const pad = annotation.enclose ? 10 : 4;
+            return {
+                x0: d3.min(members, m => x(m) - radius(m)) - pad,
+                y0: d3.min(members, m => y(m) - radius(m)) - pad,
+                x1: d3.max(members, m => x(m) + radius(m)) + pad,
+                y1: d3.max(members, m => y(m) + radius(m)) + pad
+            };
+        });
         
-        const upperMiddleIncomeModerateHIV = data.filter(d => 
-            d.income_group === 'Upper middle income' && d.hiv_incidence_rate > 0.5
-        );
+        const overlap = (a, b) => Math.max(0, Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0)) * 
+            Math.max(0, Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0));
+        const area = box => (box.x1 - box.x0) * (box.y1 - box.y0);
+        const chart = { x0: 0, y0: 0, x1: this.width, y1: this.height };
+        const points = data.map(d => [x(d), y(d)]);
+        const taken = [...subjects];
         
-        // Draw dotted rectangle around upper middle income countries with high HIV
-        if (upperMiddleIncomeHighHIV.length > 0) {
-            // Calculate bounding box for upper middle income + high HIV countries
-            const xValues = upperMiddleIncomeHighHIV.map(d => xScale(d.income_per_capita));
-            const yValues = upperMiddleIncomeHighHIV.map(d => yScale(d.hiv_incidence_rate));
+        const notes = resolved.map(({ annotation, d }, i) => {
+            const subject = subjects[i];
+            const title = fillTemplate(annotation.title || '', d);
+            const label = fillTemplate(annotation.label || '', d);
+            // Rough size of the wrapped text: about 6px per character, 15px per line
+            const lines = text => text ? Math.ceil(text.length * 6 / wrap) : 0;
+            const height = (lines(title) + lines(label)) * 15 + 8;
+            const cx = (subject.x0 + subject.x1) / 2;
             
-            const minX = Math.min(...xValues) - 30;
-            const maxX = Math.max(...xValues) + 30;
-            const minY = Math.min(...yValues) - 20;
-            const maxY = Math.max(...yValues) + 20;
+            let best = null;
+            [30, 60, 100].forEach(distance => [-1, 1].forEach(sy => [1, -1, 0].forEach(sx => {
+                const nx = sx > 0 ? subject.x1 + distance : sx < 0 ? subject.x0 - distance : cx;
+                const ny = sy > 0 ? subject.y1 + distance : subject.y0 - distance;
+                const left = sx > 0 ? nx : sx < 0 ? nx - wrap : nx - wrap / 2;
+                const box = { x0: left, x1: left + wrap, y0: sy > 0 ? ny : ny - height, y1: sy > 0 ? ny + height : ny };
+                const covered = points.filter(([px, py]) => px >= box.x0 && px <= box.x1 && py >= box.y0 && py <= box.y1).length;
+                const score = (area(box) - overlap(box, chart)) * 10 + 
+                    d3.sum(taken, other => overlap(box, other)) * 10 + 
+                    covered * 200 + distance;
+                if (!best || score < best.score) best = { score, box, nx, ny, align: sx > 0 ? 'left' : sx < 0 ? 'right' : 'middle' };
+            })));
+            taken.push(best.box);
             
-            // Add dotted rectangle
-            container.append('rect')
-                .attr('x', minX)
-                .attr('y', minY)
-                .attr('width', maxX - minX)
-                .attr('height', maxY - minY)
-                .attr('fill', 'none')
-                .attr('stroke', '#059669')
-                .attr('stroke-width', 2)
-                .attr('stroke-dasharray', '8,4')
-                .attr('opacity', 0.7)
-                .attr('rx', 5); // Rounded corners
-        }
-        
-        // Prioritize South Africa if it exists and has notable HIV rate
-        if (southAfrica && southAfrica.hiv_incidence_rate > 1.0) {
-            // First line of text
-            container.append('text')
-                .attr('x', xScale(southAfrica.income_per_capita) + 20)
-                .attr('y', yScale(southAfrica.hiv_incidence_rate))
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('Upper middle income does not');
-            // Second line of text
-            container.append('text')
-                .attr('x', xScale(southAfrica.income_per_capita) + 20)
-                .attr('y', yScale(southAfrica.hiv_incidence_rate) +10)
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('guarantee low HIV incidence');
-        } else if (upperMiddleIncomeHighHIV.length > 0) {
-            const example = upperMiddleIncomeHighHIV.sort((a, b) => b.hiv_incidence_rate - a.hiv_incidence_rate)[0];
-            // First line of text
-            container.append('text')
-                .attr('x', xScale(example.income_per_capita) + 20)
-                .attr('y', yScale(example.hiv_incidence_rate) - 20)
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('Upper middle income does not');
-            // Second line of text
-            container.append('text')
-                .attr('x', xScale(example.income_per_capita) + 20)
-                .attr('y', yScale(example.hiv_incidence_rate) - 5)
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('guarantee low HIV incidence');
-        } else if (upperMiddleIncomeModerateHIV.length > 0) {
-            const example = upperMiddleIncomeModerateHIV.sort((a, b) => b.hiv_incidence_rate - a.hiv_incidence_rate)[0];
-            container.append('text')
-                .attr('x', xScale(example.income_per_capita) + 20)
-                .attr('y', yScale(example.hiv_incidence_rate) - 10)
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('Income level alone doesn\'t predict health outcomes');
-        }
-        
-        // Second annotation: Low income with low HIV (opposite perspective)
-        const afghanistan = data.find(d => 
-            d.country_name === 'Afghanistan' && d.hiv_incidence_rate !== null
-        );
+            // Rect subjects are positioned by their top-left corner, circles by their centre
+            const ax = annotation.enclose ? subject.x0 : x(d);
+            const ay = annotation.enclose ? subject.y0 : y(d);
+            return {
+                type: annotation.enclose ? d3.annotationCalloutRect : d3.annotationCalloutCircle,
+                className: annotation.enclose ? 'annotation-enclosure' : '',
+                note: { title, label, wrap, align: best.align, orientation: 'topBottom' },
+                subject: annotation.enclose
+                    ? { width: subject.x1 - subject.x0, height: subject.y1 - subject.y0 }
+                    : { radius: radius(d) + 4 },
+                x: ax,
+                y: ay,
+                dx: best.nx - ax,
+                dy: best.ny - ay,
+                color: this.theme.ink
+            };
+        });
         
-        const lowIncomeLowHIV = data.filter(d => 
-            d.income_group === 'Low income' && d.hiv_incidence_rate < 0.2
-        );
+        const group = container.append('g')
+            .attr('class', 'story-annotations')
+            .attr('opacity', 0)
+            .call(d3.annotation().annotations(notes));
         
-        // Draw dotted rectangle around low income countries with low HIV
-        if (lowIncomeLowHIV.length > 0) {
-            // Calculate bounding box for low income + low HIV countries
-            const xValues = lowIncomeLowHIV.map(d => xScale(d.income_per_capita));
-            const yValues = lowIncomeLowHIV.map(d => yScale(d.hiv_incidence_rate));
-            
-            const minX = Math.min(...xValues) - 30;
-            const maxX = Math.max(...xValues) + 30;
-            const minY = Math.min(...yValues) - 20;
-            const maxY = Math.max(...yValues) + 20;
-            
-            // Add dotted rectangle
-            container.append('rect')
-                .attr('x', minX)
-                .attr('y', minY)
-                .attr('width', maxX - minX)
-                .attr('height', maxY - minY)
-                .attr('fill', 'none')
-                .attr('stroke', '#dc2626')
-                .attr('stroke-width', 2)
-                .attr('stroke-dasharray', '8,4')
-                .attr('opacity', 0.7)
-                .attr('rx', 5); // Rounded corners
-        }
+        // Subjects take the color of the record they point at
+        group.selectAll('.annotation').each(function(_, i) {
+            d3.select(this).selectAll('.annotation-subject path').style('stroke', color(resolved[i].d));
+        });
         
-        // Target Afghanistan specifically, or any low income country with very low HIV
-        if (afghanistan && afghanistan.hiv_incidence_rate < 0.5) {
-            container.append('text')
-                .attr('x', xScale(afghanistan.income_per_capita) -150)
-                .attr('y', yScale(afghanistan.hiv_incidence_rate) + 15)  // Position below the point
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('Low income doesn\'t necessarily mean high HIV incidence');
-        } else if (lowIncomeLowHIV.length > 0) {
-            const example = lowIncomeLowHIV.sort((a, b) => a.hiv_incidence_rate - b.hiv_incidence_rate)[0];
-            container.append('text')
-                .attr('x', xScale(example.income_per_capita) -150)
-                .attr('y', yScale(example.hiv_incidence_rate) + 15)  // Position below the point
-                .style('font-size', '11px')
-                .style('font-weight', '500')
-                .style('fill', 'black')
-                .text('Low income doesn\'t necessarily mean high HIV incidence');
-        }
+        group.transition().duration(300).attr('opacity', 1);
     }
 }
 